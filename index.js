@@ -0,0 +1,4 @@
+// Node API: const { renderBatch, inspectTemplate } = require('psd-to-mp4-batch');
+const { renderBatch, inspectTemplate } = require('./lib/batch');
+
+module.exports = { renderBatch, inspectTemplate };
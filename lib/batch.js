@@ -0,0 +1,4055 @@
+// Render pipeline: validate → resize → generate JSX → run Photoshop → report.
+// Driven by the CLI (run.js) and the Node API (index.js) through renderBatch and inspectTemplate.
+const fs = require('fs-extra');
+const path = require('path');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const os = require('os');
+const sharp = require('sharp');
+const { exec, execFile } = require('child_process');
+const { writeToPath } = require('fast-csv');
+const { Readable } = require('stream');
+const { fileURLToPath } = require('url');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { YES_VALUES, NO_VALUES, findOption, parseYesNo, resolveOptions } = require('./options');
+
+// --- Run settings ---
+// Set from the merged options by configure() at the start of every run, so one process
+// can render several batches with different options. Runs are serialized by enqueue(),
+// so a run never sees the settings of another one.
+let CONFIG_PATH; // Config file the options were read from, if any
+let PROFILE; // Selected config profile
+let RUN_SCRIPT;
+let DATA_PATH; // CSV, TSV, JSON, NDJSON or XLSX rows
+let INPUT_FORMAT; // Detected from the file extension if not set
+let CSV_DELIMITER; // Default: "," for CSV, tab for TSV
+let CSV_QUOTE;
+let INPUT_ENCODING;
+let INPUT_SHEET; // XLSX sheet name or 1-based index
+let TEMPLATE_PATH; // Default template for all rows
+let TEMPLATES_DIR; // Base folder for the 'template' column
+let IMAGE_DIR;
+let BASE_OUT_DIR; // Will use CSV output column if not provided
+let VIDEO_SIZE; // Default video size
+let VIDEO_WIDTH;
+let VIDEO_HEIGHT;
+let VIDEO_PRESET; // Default video render preset
+let USE_PRESET_FRAME_RATE; // Use preset frame rate if true
+let USE_PRESET_SIZE; // Use preset size if true
+const ALLOWED_FORMATS = findOption('format').choices;
+let VIDEO_FORMAT; // Default video format
+let VIDEO_ASPECT; // Default video aspect/resolution
+let NAME_PATTERN; // File name pattern of the outputs
+let PSD_NAME_PATTERN; // File name pattern of the saved PSD
+let RENDITIONS_PATH; // Optional list of renditions
+let POST_PROCESS_PATH; // Optional ffmpeg chain
+let FFMPEG_PATH; // ffmpeg binary used for post-processing and video clips
+let SPEC_PATH; // Optional output spec file, implies --verify
+let VERIFY_OUTPUTS; // Probe exported videos with ffprobe
+let FFPROBE_PATH; // ffprobe binary used for verification and video clips
+let INSPECT_JSON_PATH; // Defaults to ./<template>.layers.json
+let STARTER_CSV_PATH;
+let STARTER_MAPPING_PATH;
+let MAPPING_PATH; // Optional column-to-layer mapping file
+const ALLOWED_FIT_MODES = findOption('fit').choices;
+let IMAGE_FIT; // Default image fit mode
+let IMAGE_PAD_COLOR; // Background for contain letterboxing
+let IMAGE_FOCUS; // Crop focus for cover
+let TEXT_AUTOFIT; // Shrink text until it fits its original bounds
+let MIN_FONT_SIZE; // Smallest font size auto-fit may use, in pt
+let TIMELINE_DURATION; // Video duration in seconds, the template's if not set
+let WORK_IN; // Start of the rendered work area in seconds
+let WORK_OUT; // End of the rendered work area in seconds
+let VIDEO_FIT; // Scale video clips to their layer: contain, cover or fill
+let VIDEO_TRIM; // Cut video clips that run longer than the timeline
+let EXPORT_MP4_ONLY; // If true, only export MP4 files, skip PSDs
+let SCRIPT_TIMEOUT; // Default 30 minutes, applied per chunk
+let CHUNK_SIZE; // Rows per JSX script, all rows in one script if not set
+let CHUNK_RETRIES; // Retries for rows of a chunk that did not finish
+let PS_APP_NAME; // User configurable Photoshop app name
+let EXECUTOR; // Backend used to run generated JSX
+let EXECUTOR_COMMAND; // Program for the "command" executor
+let DRY_RUN_FIXTURE;
+let REPORT_DIR; // Defaults to the output folder(s)
+let MANIFEST_PATH; // Defaults to manifest.json next to the report
+let FORCE_RENDER; // Ignore the manifest and render every row
+let ONLY_FAILED; // Only render rows that failed last time
+let RULES_PATH; // Optional per-column data rules
+let STRICT; // Abort when any row breaks the data rules
+let ROW_IDS; // Only render these product_ids
+let ROW_RANGES; // Only render these data row numbers
+let ROW_WHERE; // Only render rows whose cells match
+let ROW_SHARD; // Only render this shard of the product_ids
+let DOWNLOAD_CONCURRENCY; // Parallel downloads of image URLs
+let DOWNLOAD_RETRIES; // Retries per image URL
+let DOWNLOAD_TIMEOUT; // Seconds per image URL download
+let logger = console; // Progress messages: the console for the CLI, silent for the Node API unless it gets a logger
+
+let CWD; // 👈 This is where the user runs the CLI from
+let TEMP_DIR; // --temp, or temp/ in the current directory
+let SCRIPT_PATH;
+let RESIZED_IMAGE_DIR;
+let PREPARED_VIDEO_DIR; // Trimmed and scaled video clips
+let DRY_RUN_DIR;
+let RESULTS_PATH;
+let DOWNLOAD_DIR; // Cache of remote images
+
+// Apply { options, configPath, profile } from parseOptions or resolveOptions and forget
+// the files, caches and plans loaded by the previous run
+function configure({ options, configPath = null, profile = null }, runLogger = console) {
+  logger = runLogger;
+  CONFIG_PATH = configPath;
+  PROFILE = profile;
+  RUN_SCRIPT = options.run;
+  DATA_PATH = options.csv;
+  INPUT_FORMAT = options['input-format'];
+  CSV_DELIMITER = options.delimiter;
+  CSV_QUOTE = options.quote;
+  INPUT_ENCODING = options.encoding;
+  INPUT_SHEET = options.sheet;
+  TEMPLATE_PATH = options.template;
+  TEMPLATES_DIR = options.templates || process.cwd();
+  IMAGE_DIR = options.images || path.resolve('');
+  BASE_OUT_DIR = options.out;
+  VIDEO_SIZE = options.size;
+  VIDEO_WIDTH = options.width;
+  VIDEO_HEIGHT = options.height;
+  VIDEO_PRESET = options.preset;
+  USE_PRESET_FRAME_RATE = options['use-preset-frame-rate'];
+  USE_PRESET_SIZE = options['use-preset-size'];
+  VIDEO_FORMAT = options.format;
+  VIDEO_ASPECT = options.aspect;
+  NAME_PATTERN = options.name;
+  PSD_NAME_PATTERN = options['psd-name'] || NAME_PATTERN;
+  RENDITIONS_PATH = options.renditions;
+  POST_PROCESS_PATH = options['post-process'];
+  FFMPEG_PATH = options.ffmpeg;
+  SPEC_PATH = options.spec;
+  VERIFY_OUTPUTS = options.verify || !!SPEC_PATH;
+  FFPROBE_PATH = options.ffprobe;
+  INSPECT_JSON_PATH = options.json;
+  STARTER_CSV_PATH = options['starter-csv'];
+  STARTER_MAPPING_PATH = options['starter-mapping'];
+  MAPPING_PATH = options.mapping;
+  IMAGE_FIT = options.fit;
+  IMAGE_PAD_COLOR = options['pad-color'];
+  IMAGE_FOCUS = options.focus;
+  TEXT_AUTOFIT = options.autofit;
+  MIN_FONT_SIZE = options['min-font-size'];
+  TIMELINE_DURATION = options.duration;
+  WORK_IN = options['work-in'];
+  WORK_OUT = options['work-out'];
+  VIDEO_FIT = options['video-fit'];
+  VIDEO_TRIM = options['video-trim'];
+  EXPORT_MP4_ONLY = options.export;
+  SCRIPT_TIMEOUT = options.timeout;
+  CHUNK_SIZE = options['chunk-size'];
+  CHUNK_RETRIES = options.retries;
+  PS_APP_NAME = options['ps-app'];
+  EXECUTOR = options.executor || defaultExecutor();
+  EXECUTOR_COMMAND = options['executor-command'];
+  DRY_RUN_FIXTURE = options['dry-run-fixture'];
+  REPORT_DIR = options.report;
+  MANIFEST_PATH = options.manifest;
+  FORCE_RENDER = options.force;
+  ONLY_FAILED = options['only-failed'];
+  RULES_PATH = options.rules;
+  STRICT = options.strict;
+  ROW_IDS = options.ids;
+  ROW_RANGES = options.rows;
+  ROW_WHERE = options.where;
+  ROW_SHARD = options.shard;
+  DOWNLOAD_CONCURRENCY = options['download-concurrency'];
+  DOWNLOAD_RETRIES = options['download-retries'];
+  DOWNLOAD_TIMEOUT = options['download-timeout'];
+
+  CWD = process.cwd();
+  TEMP_DIR = options.temp || path.join(CWD, 'temp');
+  // Create it if it doesn't exist
+  if (!fs.existsSync(TEMP_DIR)) {
+    fs.mkdirSync(TEMP_DIR, { recursive: true });
+  }
+  SCRIPT_PATH = path.join(TEMP_DIR, 'generatedScript.jsx');
+  RESIZED_IMAGE_DIR = path.join(TEMP_DIR, 'resized');
+  PREPARED_VIDEO_DIR = path.join(TEMP_DIR, 'videos');
+  DRY_RUN_DIR = path.join(TEMP_DIR, 'dry-run');
+  RESULTS_PATH = path.join(TEMP_DIR, 'results.json');
+  DOWNLOAD_DIR = path.join(TEMP_DIR, 'downloads');
+  DOWNLOAD_INDEX_PATH = path.join(DOWNLOAD_DIR, 'index.json');
+
+  TIMELINE_DEFAULTS = { duration: TIMELINE_DURATION, workIn: WORK_IN, workOut: WORK_OUT };
+  RUN_STARTED_AT = new Date();
+  RENDITIONS = [getDefaultRendition()];
+  COLUMN_MAPPING = {};
+  DATA_RULES = {};
+  POST_PROCESS = [];
+  VERIFY_SPECS = [];
+  dryRunPlan = null;
+  [downloadedImages, downloadFailures, clipProbes, fileHashCache].forEach(cache => cache.clear());
+}
+
+// --- Data sources ---
+// Rows can come from CSV, TSV, JSON (array of objects, or { rows: [...] }), NDJSON and
+// XLSX. The format follows the file extension unless --input-format is given. Every
+// reader returns the same plain row objects with string cell values.
+const INPUT_FORMATS = ['csv', 'tsv', 'json', 'ndjson', 'xlsx'];
+const INPUT_FORMAT_EXTENSIONS = {
+  '.csv': 'csv', '.txt': 'csv', '.tsv': 'tsv', '.tab': 'tsv',
+  '.json': 'json', '.ndjson': 'ndjson', '.jsonl': 'ndjson', '.xlsx': 'xlsx',
+};
+
+function detectInputFormat(dataPath) {
+  if (INPUT_FORMAT) return INPUT_FORMAT;
+  return INPUT_FORMAT_EXTENSIONS[path.extname(dataPath).toLowerCase()] || 'csv';
+}
+
+// Decode a text file with --encoding; TextDecoder drops a leading byte order mark
+async function readTextFile(filePath) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(INPUT_ENCODING);
+  } catch (err) {
+    throw new Error(`❌ Unsupported --encoding "${INPUT_ENCODING}". Examples: utf-8, utf-16le, windows-1252, iso-8859-1`);
+  }
+  return decoder.decode(await fs.readFile(filePath));
+}
+
+// Cells are strings everywhere else (image names, text contents), whatever the source type was
+function normalizeCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().replace(/T00:00:00\.000Z$/, '');
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return normalizeCell(value.result);
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function normalizeRow(row) {
+  return Object.fromEntries(Object.entries(row).map(([key, value]) => [String(key).trim(), normalizeCell(value)]));
+}
+
+async function readCSV(csvPath, separator = CSV_DELIMITER || ',') {
+  const text = await readTextFile(csvPath);
+  const results = [];
+  return new Promise((resolve, reject) => {
+    Readable.from([text])
+      .pipe(csv({ separator, quote: CSV_QUOTE }))
+      .on('data', data => results.push(data))
+      .on('end', () => resolve(results))
+      .on('error', reject);
+  });
+}
+
+async function readJSONRows(jsonPath) {
+  let content;
+  try {
+    content = JSON.parse(await readTextFile(jsonPath));
+  } catch (err) {
+    throw new Error(`❌ Could not parse JSON data file ${jsonPath}: ${err.message}`);
+  }
+  const rows = Array.isArray(content) ? content : content && content.rows;
+  if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw new Error(`❌ JSON data file ${jsonPath} must contain an array of row objects (or { "rows": [...] })`);
+  }
+  return rows.map(normalizeRow);
+}
+
+async function readNDJSONRows(ndjsonPath) {
+  const lines = (await readTextFile(ndjsonPath)).split(/\r?\n/);
+  const rows = [];
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`❌ Invalid JSON on line ${index + 1} of ${ndjsonPath}: ${err.message}`);
+    }
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`❌ Line ${index + 1} of ${ndjsonPath} is not a row object`);
+    }
+    rows.push(normalizeRow(row));
+  });
+  return rows;
+}
+
+// First row of the sheet holds the column names; --sheet picks a sheet by name or 1-based index
+async function readXLSXRows(xlsxPath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(xlsxPath);
+
+  const sheetNames = workbook.worksheets.map(sheet => sheet.name);
+  const sheet = INPUT_SHEET === null
+    ? workbook.worksheets[0]
+    : workbook.getWorksheet(INPUT_SHEET) || (/^\d+$/.test(String(INPUT_SHEET)) ? workbook.worksheets[Number(INPUT_SHEET) - 1] : null);
+  if (!sheet) {
+    throw new Error(`❌ Sheet "${INPUT_SHEET}" not found in ${xlsxPath}. Available sheets: ${sheetNames.join(', ')}`);
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => { headers[col] = normalizeCell(cell.value).trim(); });
+
+  const rows = [];
+  sheet.eachRow((sheetRow, rowNumber) => {
+    if (rowNumber === 1) return;
+    const row = {};
+    headers.forEach((header, col) => {
+      if (header) row[header] = normalizeCell(sheetRow.getCell(col).value);
+    });
+    if (Object.values(row).some(value => value !== '')) rows.push(row);
+  });
+  return rows;
+}
+
+const DATA_READERS = {
+  csv: dataPath => readCSV(dataPath),
+  tsv: dataPath => readCSV(dataPath, CSV_DELIMITER || '\t'),
+  json: readJSONRows,
+  ndjson: readNDJSONRows,
+  xlsx: readXLSXRows,
+};
+
+async function readRows(dataPath) {
+  const format = detectInputFormat(dataPath);
+  const rows = await DATA_READERS[format](dataPath);
+  logger.log(`📥 Read ${rows.length} row(s) from ${path.basename(dataPath)} (${format})`);
+  return rows;
+}
+
+function parseBoundsFile(boundsFilePath) {
+  const lines = fs.readFileSync(boundsFilePath, 'utf-8')
+    .split(/\r?\n|\r/g)
+    .map(l => l.trim())
+    .filter(Boolean);
+
+  const result = {};
+  for (const line of lines) {
+    const separator = line.lastIndexOf('=');
+    const key = line.slice(0, separator);
+    const value = line.slice(separator + 1);
+    if (separator < 1 || !value) continue;
+
+    const [w, h] = value.split(',').map(n => parseInt(n, 10));
+    if (Number.isInteger(w) && Number.isInteger(h) && w > 0 && h > 0) {
+      result[key] = { width: w, height: h };
+    } else {
+      logger.warn(`⚠️ Skipping invalid bounds for ${key}: "${value}"`);
+    }
+  }
+
+  return result;
+}
+
+// --- Row selection ---
+// --ids, --rows, --where and --shard pick the rows of a run right after they are read,
+// so validation, resizing and the scripts only see the selected rows. The other rows
+// are reported as skipped, with the option that left them out.
+
+// "10-50", "7", "-20" and "100-", comma separated, as 1-based [from, to] pairs
+function parseRowRanges(value) {
+  return String(value).split(',').map(part => {
+    const match = part.trim().match(/^(\d*)\s*(?:-\s*(\d*))?$/);
+    const from = match && match[1] !== '' ? Number(match[1]) : 1;
+    const to = !match ? 0 : match[2] === undefined ? from : match[2] === '' ? Infinity : Number(match[2]);
+    if (!match || (match[1] === '' && !match[2]) || from < 1 || to < from) {
+      throw new Error(`❌ Invalid --rows "${value}". Expected row numbers or ranges such as 10-50, 7, 100- or 1-5,9`);
+    }
+    return [from, to];
+  });
+}
+
+// "locale=de", "locale!=de" and "locale=de|at", comma separated; all conditions must match
+function parseWhere(value, columns) {
+  return String(value).split(',').map(part => {
+    const match = part.match(/^\s*([^!=]+?)\s*(!?=)(.*)$/);
+    if (!match) throw new Error(`❌ Invalid --where "${value}". Expected conditions such as locale=de, locale!=de or locale=de|at`);
+    const [, column, operator, values] = match;
+    if (!columns.includes(column)) throw new Error(`❌ --where uses the unknown column "${column}". Available columns: ${columns.join(', ')}`);
+    return { column, negate: operator === '!=', values: values.split('|').map(item => item.trim()) };
+  });
+}
+
+function parseShard(value) {
+  const match = String(value).trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  const index = match ? Number(match[1]) : 0;
+  const count = match ? Number(match[2]) : 0;
+  if (index < 1 || index > count) throw new Error(`❌ Invalid --shard "${value}". Expected <index>/<count> with 1 ≤ index ≤ count, e.g. 2/3`);
+  return { index, count };
+}
+
+// Shard of a product_id, from a hash so that a row keeps its shard when other rows are added or removed
+function getShardIndex(productId, count) {
+  return crypto.createHash('sha1').update(String(productId)).digest().readUInt32BE(0) % count + 1;
+}
+
+// Split the rows into { selected, filtered } where filtered holds skipped report rows
+function selectRows(rows) {
+  const filters = [];
+  if (ROW_IDS) {
+    const ids = new Set(ROW_IDS.split(',').map(id => id.trim()).filter(Boolean));
+    const unknown = [...ids].filter(id => !rows.some(row => row["product_id"] === id));
+    if (unknown.length > 0) logger.warn(`⚠️ --ids not found in the data: ${unknown.join(', ')}`);
+    filters.push(row => (ids.has(row["product_id"]) ? null : 'not in --ids'));
+  }
+  if (ROW_RANGES) {
+    const ranges = parseRowRanges(ROW_RANGES);
+    filters.push((row, number) => (ranges.some(([from, to]) => number >= from && number <= to) ? null : `outside --rows ${ROW_RANGES}`));
+  }
+  if (ROW_WHERE) {
+    const conditions = parseWhere(ROW_WHERE, [...new Set(rows.flatMap(row => Object.keys(row)))]);
+    filters.push(row => {
+      const failed = conditions.find(({ column, negate, values }) => values.includes(String(row[column] ?? '').trim()) === negate);
+      return failed ? `does not match --where ${ROW_WHERE}` : null;
+    });
+  }
+  if (ROW_SHARD) {
+    const { index, count } = parseShard(ROW_SHARD);
+    filters.push(row => (getShardIndex(row["product_id"], count) === index ? null : `not in --shard ${ROW_SHARD}`));
+  }
+  if (filters.length === 0) return { selected: rows, filtered: [] };
+
+  const selected = [];
+  const filtered = [];
+  rows.forEach((row, i) => {
+    const skipReason = filters.map(filter => filter(row, i + 1)).find(Boolean);
+    if (skipReason) filtered.push(skippedReportRow(row, null, skipReason));
+    else selected.push(row);
+  });
+  const used = [['ids', ROW_IDS], ['rows', ROW_RANGES], ['where', ROW_WHERE], ['shard', ROW_SHARD]]
+    .filter(([, value]) => value)
+    .map(([name, value]) => `--${name} ${value}`);
+  logger.log(`🔎 Selected ${selected.length} of ${rows.length} row(s) (${used.join(', ')})`);
+  return { selected, filtered };
+}
+
+// --- JSX serialization helpers ---
+// Every CSV value, layer name and path crosses into the generated ExtendScript through
+// these helpers, so it always ends up as data inside a string literal and never as code.
+
+// Serialize any value as a double-quoted ExtendScript string literal. Quotes, backslashes
+// and control characters are escaped, and everything outside printable ASCII (including
+// emoji surrogate pairs, U+2028/U+2029 and "<" / ">" of "</script>"-like sequences) is
+// written as a \uXXXX escape, so the script file itself stays pure ASCII.
+function jsxString(value) {
+  const str = value === undefined || value === null ? '' : String(value);
+  let out = '"';
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    const code = str.charCodeAt(i);
+    if (ch === '"') out += '\\"';
+    else if (ch === '\\') out += '\\\\';
+    else if (ch === '\n') out += '\\n';
+    else if (ch === '\r') out += '\\r';
+    else if (ch === '\t') out += '\\t';
+    else if (code < 0x20 || code > 0x7e || ch === '<' || ch === '>' || ch === '&' || ch === "'") {
+      out += '\\u' + code.toString(16).toUpperCase().padStart(4, '0');
+    } else out += ch;
+  }
+  return out + '"';
+}
+
+// Text layer contents: Photoshop uses a carriage return as paragraph break, so every
+// newline flavour in a multi-line CSV cell becomes "\r"
+function jsxText(value) {
+  const str = value === undefined || value === null ? '' : String(value);
+  return jsxString(str.replace(/\r\n|\n|\r/g, '\r'));
+}
+
+// File system paths: forward slashes work for ExtendScript File objects on both platforms
+function jsxPath(filePath) {
+  return jsxString(String(filePath).replace(/\\/g, '/'));
+}
+
+// Integers passed to ActionDescriptor.putInteger
+function jsxInteger(value) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n)) throw new Error(`❌ Expected an integer but got "${value}"`);
+  return String(n);
+}
+
+// Fit options of an image cell: companion columns win over the mapping file, which wins over the CLI defaults
+function getImageFitOptions(row, column) {
+  const mappedOptions = (COLUMN_MAPPING[column] && COLUMN_MAPPING[column].options) || {};
+  return {
+    fit: getCompanionValue(row, column, 'fit') || mappedOptions.fit || IMAGE_FIT,
+    pad: getCompanionValue(row, column, 'pad') || mappedOptions.pad || IMAGE_PAD_COLOR,
+    focus: getCompanionValue(row, column, 'focus') || mappedOptions.focus || IMAGE_FOCUS,
+  };
+}
+
+// Returns an error message for invalid fit options, null when they are fine
+function validateImageFitOptions(options) {
+  if (!ALLOWED_FIT_MODES.includes(options.fit)) {
+    return `invalid fit "${options.fit}" (supported: ${ALLOWED_FIT_MODES.join(', ')})`;
+  }
+  try {
+    parsePadColor(options.pad);
+    parseFocus(options.focus);
+  } catch (err) {
+    return err.message;
+  }
+  return null;
+}
+
+function parsePadColor(value) {
+  if (!value || String(value).toLowerCase() === 'transparent') return { r: 0, g: 0, b: 0, alpha: 0 };
+
+  const hex = String(value).trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex) || /^[0-9a-f]{6}$/i.test(hex) || /^[0-9a-f]{8}$/i.test(hex)) {
+    const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+    return {
+      r: parseInt(full.slice(0, 2), 16),
+      g: parseInt(full.slice(2, 4), 16),
+      b: parseInt(full.slice(4, 6), 16),
+      alpha: full.length === 8 ? parseInt(full.slice(6, 8), 16) / 255 : 1,
+    };
+  }
+  throw new Error(`invalid pad color "${value}" (use "#rrggbb", "#rrggbbaa" or "transparent")`);
+}
+
+// Crop focus: a sharp position/gravity, a smart crop strategy or a focal point { x, y } in 0-1
+const FOCUS_POSITIONS = ['center', 'centre', 'top', 'bottom', 'left', 'right',
+  'top left', 'top right', 'bottom left', 'bottom right',
+  'left top', 'right top', 'left bottom', 'right bottom'];
+
+function parseFocus(value) {
+  const focus = String(value || 'center').trim().toLowerCase();
+  if (focus === 'attention') return sharp.strategy.attention;
+  if (focus === 'entropy') return sharp.strategy.entropy;
+  if (FOCUS_POSITIONS.includes(focus)) return focus;
+
+  const match = focus.match(/^(-?[\d.]+)(%?)\s*[,;\s]\s*(-?[\d.]+)(%?)$/);
+  if (match) {
+    const x = parseFloat(match[1]) / (match[2] ? 100 : 1);
+    const y = parseFloat(match[3]) / (match[4] ? 100 : 1);
+    if (x >= 0 && x <= 1 && y >= 0 && y <= 1) return { x, y };
+  }
+  throw new Error(`invalid focus "${value}" (use center, top, attention, entropy or a focal point like "0.5,0.3")`);
+}
+
+async function resizeImageToFit(imagePath, outputPath, dim, options = {}) {
+  const fit = options.fit || 'contain';
+  const background = parsePadColor(options.pad);
+  const focus = parseFocus(options.focus);
+
+  // Focal point crop: scale to cover, then cut the frame centred on the point as far as the edges allow
+  if (fit === 'cover' && typeof focus === 'object') {
+    const { width, height } = await sharp(imagePath).metadata();
+    const scale = Math.max(dim.width / width, dim.height / height);
+    const scaledWidth = Math.max(Math.round(width * scale), dim.width);
+    const scaledHeight = Math.max(Math.round(height * scale), dim.height);
+    const left = Math.min(Math.max(Math.round(focus.x * scaledWidth - dim.width / 2), 0), scaledWidth - dim.width);
+    const top = Math.min(Math.max(Math.round(focus.y * scaledHeight - dim.height / 2), 0), scaledHeight - dim.height);
+
+    return sharp(imagePath)
+      .resize(scaledWidth, scaledHeight, { fit: 'fill' })
+      .extract({ left, top, width: dim.width, height: dim.height })
+      .png()
+      .toFile(outputPath);
+  }
+
+  return sharp(imagePath)
+    .resize(dim.width, dim.height, {
+      fit,
+      position: fit === 'cover' ? focus : 'centre',
+      background
+    })
+    .toFile(outputPath);
+}
+
+// --- Remote images ---
+// Image cells may also be http(s):// or file:// URLs. Remote files are downloaded once
+// into a content-addressed cache (temp/downloads/<sha256>.<ext>); an index maps every URL
+// to its cached file so later runs reuse it. Downloads run a few at a time, are retried
+// on network errors, timeouts and 5xx/429 responses, and must be images.
+let DOWNLOAD_INDEX_PATH; // Remote URL -> cached file name
+const IMAGE_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif', tiff: 'tif', avif: 'avif', heif: 'heic', svg: 'svg' };
+const downloadedImages = new Map(); // url -> cached file
+const downloadFailures = new Map(); // url -> reason
+
+function isImageUrl(value) {
+  return /^(https?|file):\/\//i.test(String(value).trim());
+}
+
+// Local file behind an image cell: a downloaded or file:// URL, or a path relative to --images
+function resolveImagePath(value) {
+  const cell = String(value).trim();
+  if (/^file:\/\//i.test(cell)) return fileURLToPath(cell);
+  if (isImageUrl(cell)) return downloadedImages.get(cell) || path.join(DOWNLOAD_DIR, 'missing', encodeURIComponent(cell));
+  return path.resolve(IMAGE_DIR, value);
+}
+
+class DownloadError extends Error {
+  constructor(message, retryable) {
+    super(message);
+    this.retryable = retryable;
+  }
+}
+
+async function fetchImage(url) {
+  let response;
+  try {
+    response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT * 1000), redirect: 'follow' });
+  } catch (err) {
+    const reason = err.name === 'TimeoutError' ? `timed out after ${DOWNLOAD_TIMEOUT}s` : (err.cause && err.cause.message) || err.message;
+    throw new DownloadError(reason, true);
+  }
+
+  if (!response.ok) {
+    throw new DownloadError(`HTTP ${response.status} ${response.statusText}`.trim(), response.status >= 500 || response.status === 429);
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (contentType && !contentType.startsWith('image/') && contentType !== 'application/octet-stream') {
+    throw new DownloadError(`not an image (content-type ${contentType})`, false);
+  }
+
+  let data;
+  try {
+    data = Buffer.from(await response.arrayBuffer());
+  } catch (err) {
+    throw new DownloadError(err.name === 'TimeoutError' ? `timed out after ${DOWNLOAD_TIMEOUT}s` : err.message, true);
+  }
+
+  // The content type can lie; only keep files sharp can actually read
+  let metadata;
+  try {
+    metadata = await sharp(data).metadata();
+  } catch (err) {
+    throw new DownloadError(`not a readable image (${contentType || 'no content-type'})`, false);
+  }
+  return { data, extension: IMAGE_EXTENSIONS[metadata.format] || metadata.format };
+}
+
+async function downloadImage(url, index) {
+  const cached = index[url];
+  if (cached && fs.existsSync(path.join(DOWNLOAD_DIR, cached))) {
+    return path.join(DOWNLOAD_DIR, cached);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { data, extension } = await fetchImage(url);
+      const fileName = `${crypto.createHash('sha256').update(data).digest('hex')}.${extension}`;
+      const filePath = path.join(DOWNLOAD_DIR, fileName);
+      if (!fs.existsSync(filePath)) await fs.outputFile(filePath, data);
+      index[url] = fileName;
+      return filePath;
+    } catch (err) {
+      if (!err.retryable || attempt >= DOWNLOAD_RETRIES) throw err;
+      logger.warn(`⚠️ Download of ${url} failed (${err.message}), retrying...`);
+      await new Promise(resolve => setTimeout(resolve, 500 * (attempt + 1)));
+    }
+  }
+}
+
+// Remote image URLs of a row
+function getRemoteImageUrls(row) {
+  return Object.entries(row)
+    .filter(([key, value]) => isImageColumn(key) && value && isImageUrl(value) && !/^file:/i.test(value.trim()))
+    .map(([, value]) => value.trim());
+}
+
+// Download every image URL used by the rows that wasn't fetched yet. Failures are kept
+// in downloadFailures and reported by validateAllPaths.
+async function downloadRemoteImages(rows) {
+  const urls = new Set();
+  for (const row of rows) {
+    getRemoteImageUrls(row)
+      .filter(url => !downloadedImages.has(url) && !downloadFailures.has(url))
+      .forEach(url => urls.add(url));
+  }
+  if (urls.size === 0) return;
+
+  const index = fs.existsSync(DOWNLOAD_INDEX_PATH) ? await fs.readJson(DOWNLOAD_INDEX_PATH).catch(() => ({})) : {};
+  const queue = Array.from(urls);
+  let failed = 0;
+  logger.log(`🌐 Fetching ${queue.length} remote image(s) (${DOWNLOAD_CONCURRENCY} at a time)...`);
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift();
+      try {
+        downloadedImages.set(url, await downloadImage(url, index));
+      } catch (err) {
+        downloadFailures.set(url, err.message);
+        failed++;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(DOWNLOAD_CONCURRENCY, queue.length) }, worker));
+
+  await fs.outputJson(DOWNLOAD_INDEX_PATH, index, { spaces: 2 });
+  logger.log(`🌐 ${urls.size - failed}/${urls.size} remote image(s) available in ${DOWNLOAD_DIR}`);
+}
+
+// --- Text styling ---
+// Text columns (text layers and txt_ Smart Objects) take per-cell styling from companion
+// columns, e.g. "Title__font" or "txt_Title__size", then from the mapping options and
+// for auto-fit from --autofit / --min-font-size:
+//
+//   font      PostScript font name, e.g. "Montserrat-Bold"
+//   size      font size in pt
+//   color     hex colour, e.g. "#ffffff"
+//   tracking  tracking in 1/1000 em
+//   align     left, center, right or justify
+//   autofit   yes/no: shrink the font until the text fits the original bounds or paragraph box
+//   minSize   smallest font size auto-fit may use, in pt
+//   layer     (txt_ only) name or path of the text layer inside the Smart Object
+const TEXT_OPTIONS = ['font', 'size', 'color', 'tracking', 'align', 'autofit', 'minSize', 'layer'];
+const TEXT_ALIGNMENTS = { left: 'LEFT', center: 'CENTER', centre: 'CENTER', right: 'RIGHT', justify: 'FULLYJUSTIFIED' };
+
+function getTextOptions(row, column) {
+  const mappedOptions = (COLUMN_MAPPING[column] && COLUMN_MAPPING[column].options) || {};
+  const options = {};
+  for (const option of TEXT_OPTIONS) {
+    const value = getCompanionValue(row, column, option) ?? mappedOptions[option];
+    if (value !== undefined && value !== null && value !== '') options[option] = value;
+  }
+  if (options.autofit === undefined) options.autofit = TEXT_AUTOFIT;
+  if (options.minSize === undefined) options.minSize = MIN_FONT_SIZE;
+  return options;
+}
+
+// Returns an error message for invalid text options, null when they are fine
+function validateTextOptions(options) {
+  const errors = [];
+  if (options.size !== undefined && !(Number(options.size) > 0)) errors.push(`size "${options.size}" must be a positive number`);
+  if (!(Number(options.minSize) > 0)) errors.push(`minSize "${options.minSize}" must be a positive number`);
+  if (options.color !== undefined && !parseHexColor(options.color)) errors.push(`color "${options.color}" is not a hex colour like #ffffff`);
+  if (options.tracking !== undefined && !Number.isFinite(Number(options.tracking))) errors.push(`tracking "${options.tracking}" must be a number`);
+  if (options.align !== undefined && !TEXT_ALIGNMENTS[String(options.align).toLowerCase()]) {
+    errors.push(`align "${options.align}" must be one of left, center, right, justify`);
+  }
+  if (typeof options.autofit !== 'boolean' && parseYesNo(options.autofit) === null) errors.push(`autofit "${options.autofit}" must be yes or no`);
+  return errors.length > 0 ? errors.join(', ') : null;
+}
+
+// Text options as a JSX object literal for __styleText
+function textStyleJSX(options) {
+  const style = [];
+  if (options.font !== undefined) style.push(`font: ${jsxString(String(options.font))}`);
+  if (options.size !== undefined) style.push(`size: ${Number(options.size)}`);
+  if (options.color !== undefined) style.push(`color: ${jsxString(parseHexColor(options.color))}`);
+  if (options.tracking !== undefined) style.push(`tracking: ${Number(options.tracking)}`);
+  if (options.align !== undefined) style.push(`align: ${jsxString(TEXT_ALIGNMENTS[String(options.align).toLowerCase()])}`);
+  const autofit = typeof options.autofit === 'boolean' ? options.autofit : parseYesNo(options.autofit);
+  if (autofit) style.push(`autofit: true, minSize: ${Number(options.minSize)}`);
+  return style.length > 0 ? `{ ${style.join(', ')} }` : '{}';
+}
+
+// JSX text helpers shared by all generated scripts. __setText replaces the contents,
+// applies the style and optionally shrinks the font until the text fits again:
+// point text has to stay within the layer's original bounds, paragraph text within its
+// box. Paragraph overflow is detected by growing the box: text that fits renders the same.
+const JSX_TEXT = `
+function __boundsSize(layer) {
+  var b = layer.bounds;
+  return { width: b[2].as("px") - b[0].as("px"), height: b[3].as("px") - b[1].as("px") };
+}
+
+function __textOverflows(layer, target) {
+  var item = layer.textItem;
+  if (item.kind === TextType.PARAGRAPHTEXT) {
+    var before = __boundsSize(layer).height;
+    var boxHeight = item.height;
+    item.height = boxHeight * 20;
+    var after = __boundsSize(layer).height;
+    item.height = boxHeight;
+    return after > before + 1;
+  }
+  var size = __boundsSize(layer);
+  return size.width > target.width + 1 || size.height > target.height + 1;
+}
+
+function __setText(layer, contents, style) {
+  var item = layer.textItem;
+  var target = __boundsSize(layer);
+  item.contents = contents;
+
+  if (style.font) {
+    try {
+      app.fonts.getByName(style.font);
+    } catch (e) {
+      throw "Font not installed: " + style.font;
+    }
+    item.font = style.font;
+  }
+  if (style.size) item.size = new UnitValue(style.size, "pt");
+  if (style.color) {
+    var color = new SolidColor();
+    color.rgb.hexValue = style.color;
+    item.color = color;
+  }
+  if (style.tracking !== undefined) item.tracking = style.tracking;
+  if (style.align) item.justification = Justification[style.align];
+
+  if (style.autofit) {
+    var fontSize = item.size.as("pt");
+    for (var i = 0; i < 100 && fontSize > style.minSize && __textOverflows(layer, target); i++) {
+      fontSize = Math.max(style.minSize, Math.round(fontSize * 95) / 100);
+      item.size = new UnitValue(fontSize, "pt");
+    }
+    return __textOverflows(layer, target) ? "still overflows at the minimum size of " + style.minSize + "pt" : null;
+  }
+  return null;
+}
+`;
+
+// JSX timeline helpers shared by all generated scripts. Times are passed as timecodes
+// (whole seconds plus frames) at the document's frame rate.
+const JSX_TIMELINE = `
+function __frameRate() {
+  var ref = new ActionReference();
+  ref.putProperty(stringIDToTypeID("property"), stringIDToTypeID("frameRate"));
+  ref.putClass(stringIDToTypeID("timeline"));
+  return executeActionGet(ref).getDouble(stringIDToTypeID("frameRate"));
+}
+
+function __timecode(seconds, frameRate) {
+  var sign = seconds < 0 ? -1 : 1;
+  var frames = Math.round(Math.abs(seconds) * frameRate);
+  var whole = Math.floor(frames / frameRate);
+  var code = new ActionDescriptor();
+  code.putInteger(stringIDToTypeID("seconds"), sign * whole);
+  code.putInteger(stringIDToTypeID("frame"), sign * Math.round(frames - whole * frameRate));
+  code.putDouble(stringIDToTypeID("frameRate"), frameRate);
+  return code;
+}
+
+// property: "duration", "workInTime" or "workOutTime"
+function __setTimeline(property, seconds, frameRate) {
+  var desc = new ActionDescriptor();
+  var ref = new ActionReference();
+  ref.putProperty(stringIDToTypeID("property"), stringIDToTypeID(property));
+  ref.putClass(stringIDToTypeID("timeline"));
+  desc.putReference(charIDToTypeID("null"), ref);
+  desc.putObject(charIDToTypeID("T   "), stringIDToTypeID("timecode"), __timecode(seconds, frameRate));
+  executeAction(charIDToTypeID("setd"), desc, DialogModes.NO);
+}
+
+// event: "moveAllTime" (shift), "moveInTime" or "moveOutTime"
+function __moveLayerTime(doc, layer, event, seconds, frameRate) {
+  doc.activeLayer = layer;
+  var desc = new ActionDescriptor();
+  desc.putObject(stringIDToTypeID("timeOffset"), stringIDToTypeID("timecode"), __timecode(seconds, frameRate));
+  executeAction(stringIDToTypeID(event), desc, DialogModes.NO);
+}
+`;
+
+// JSON serializer for generated scripts (ExtendScript has no JSON object).
+// Non-ASCII characters are written as \uXXXX escapes so the files stay plain ASCII.
+const JSX_JSON = `
+function __toJSON(value) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "number") return isFinite(value) ? String(value) : "null";
+  if (typeof value === "boolean") return value ? "true" : "false";
+  if (typeof value === "string") {
+    var out = '"';
+    for (var i = 0; i < value.length; i++) {
+      var c = value.charAt(i);
+      var code = value.charCodeAt(i);
+      if (c === '"' || c === "\\\\") out += "\\\\" + c;
+      else if (code < 0x20 || code > 0x7e) {
+        var hex = code.toString(16);
+        while (hex.length < 4) hex = "0" + hex;
+        out += "\\\\u" + hex;
+      } else out += c;
+    }
+    return out + '"';
+  }
+  if (value instanceof Array) {
+    var items = [];
+    for (var j = 0; j < value.length; j++) items.push(__toJSON(value[j]));
+    return "[" + items.join(",") + "]";
+  }
+  var props = [];
+  for (var key in value) {
+    if (value.hasOwnProperty(key)) props.push(__toJSON(key) + ":" + __toJSON(value[key]));
+  }
+  return "{" + props.join(",") + "}";
+}
+`;
+
+// JSX layer lookup shared by all generated scripts. A plain name is searched
+// recursively (first match wins), a path like "Group/Hero/Image" is walked from
+// the document root one group at a time.
+const JSX_LAYER_LOOKUP = `
+function findLayerByName(container, name) {
+  for (var i = 0; i < container.layers.length; i++) {
+    var layer = container.layers[i];
+    if (layer.name === name) return layer;
+    if (layer.typename === "LayerSet") {
+      var found = findLayerByName(layer, name);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function findLayerByPath(container, layerPath) {
+  var parts = layerPath.split("/");
+  if (parts.length === 1) return findLayerByName(container, layerPath);
+  var current = container;
+  for (var p = 0; p < parts.length; p++) {
+    var next = null;
+    for (var i = 0; i < current.layers.length; i++) {
+      if (current.layers[i].name === parts[p]) {
+        next = current.layers[i];
+        break;
+      }
+    }
+    if (!next) return null;
+    current = next;
+  }
+  return current;
+}
+`;
+
+// Combined function to extract bounds AND validate required layers
+async function extractBoundsAndValidate(templatePath, boundsOutPath, requiredLayers, imageLayers) {
+  const jsx = `#target photoshop
+var doc = app.open(new File(${jsxPath(templatePath)}));
+var boundsMsg = "";
+var validationMsg = "";
+var debugMsg = "=== DEBUG: All layers found ===\\r\\n";
+
+var requiredLayers = [${requiredLayers.map(jsxString).join(', ')}];
+var imageLayers = [${imageLayers.map(jsxString).join(', ')}];
+${JSX_LAYER_LOOKUP}
+function dumpLayers(container, depth, parentPath) {
+  var indent = "";
+  for (var d = 0; d < depth; d++) indent += "  ";
+
+  for (var i = 0; i < container.layers.length; i++) {
+    var layer = container.layers[i];
+    var layerPath = parentPath ? parentPath + "/" + layer.name : layer.name;
+
+    // Debug: log all layers
+    debugMsg += indent + "Layer: '" + layerPath + "' (type: " + layer.typename;
+    if (layer.kind) debugMsg += ", kind: " + layer.kind;
+    debugMsg += ")\\r\\n";
+
+    if (layer.typename === "LayerSet") {
+      dumpLayers(layer, depth + 1, layerPath);
+    }
+  }
+}
+
+dumpLayers(doc, 0, "");
+
+// Validate required layers
+var missingLayers = [];
+for (var i = 0; i < requiredLayers.length; i++) {
+  if (!findLayerByPath(doc, requiredLayers[i])) {
+    missingLayers.push(requiredLayers[i]);
+  }
+}
+
+// Collect bounds of the image Smart Objects and video layers
+for (var j = 0; j < imageLayers.length; j++) {
+  var layer = findLayerByPath(doc, imageLayers[j]);
+  if (!layer) continue;
+  if (layer.kind === LayerKind.SMARTOBJECT || layer.kind === LayerKind.VIDEO) {
+    var b = layer.bounds;
+    var width = b[2].as("px") - b[0].as("px");
+    var height = b[3].as("px") - b[1].as("px");
+    boundsMsg += imageLayers[j] + "=" + width + "," + height + String.fromCharCode(13);
+    debugMsg += "  -> FOUND SMART OBJECT: " + imageLayers[j] + " (" + width + "x" + height + ")\\r\\n";
+  } else {
+    debugMsg += "  -> Found image layer but NOT smart object: " + imageLayers[j] + "\\r\\n";
+  }
+}
+
+if (missingLayers.length > 0) {
+  validationMsg = "MISSING_LAYERS:" + missingLayers.join(",") + String.fromCharCode(13);
+} else {
+  validationMsg = "ALL_LAYERS_FOUND" + String.fromCharCode(13);
+}
+
+// Write bounds file
+var boundsFile = new File(${jsxPath(boundsOutPath)});
+var boundsFolder = boundsFile.parent;
+if (!boundsFolder.exists) boundsFolder.create();
+if (boundsFile.open("w")) {
+  boundsFile.write(boundsMsg);
+  boundsFile.close();
+} else {
+  throw new Error("Failed to open bounds file for writing: " + boundsFile.fsName);
+}
+
+// Write the timeline duration in seconds, empty for documents without a timeline
+var timelineSeconds = "";
+try {
+  var durationRef = new ActionReference();
+  durationRef.putProperty(stringIDToTypeID("property"), stringIDToTypeID("duration"));
+  durationRef.putClass(stringIDToTypeID("timeline"));
+  var duration = executeActionGet(durationRef).getObjectValue(stringIDToTypeID("duration"));
+  var rateRef = new ActionReference();
+  rateRef.putProperty(stringIDToTypeID("property"), stringIDToTypeID("frameRate"));
+  rateRef.putClass(stringIDToTypeID("timeline"));
+  var rate = executeActionGet(rateRef).getDouble(stringIDToTypeID("frameRate"));
+  timelineSeconds = duration.getInteger(stringIDToTypeID("seconds")) + duration.getInteger(stringIDToTypeID("frame")) / rate;
+} catch (e) {}
+var timelineFile = new File(${jsxPath(getTimelinePath(boundsOutPath))});
+if (timelineFile.open("w")) {
+  timelineFile.write(String(timelineSeconds));
+  timelineFile.close();
+}
+
+// Write validation file
+var validationFile = new File(${jsxPath(boundsOutPath.replace('.txt', '_validation.txt'))});
+if (validationFile.open("w")) {
+  validationFile.write(validationMsg + debugMsg);
+  validationFile.close();
+} else {
+  throw new Error("Failed to open validation file for writing: " + validationFile.fsName);
+}
+
+doc.close(SaveOptions.SAVECHANGES);
+`;
+
+  const scriptPath = path.join(TEMP_DIR, 'extractBoundsAndValidate_temp.jsx');
+  await fs.writeFile(scriptPath, jsx);
+
+  await executePhotoshopScript(scriptPath, 300, {
+    kind: 'bounds',
+    templatePath,
+    boundsOutPath,
+    validationOutPath: boundsOutPath.replace('.txt', '_validation.txt'),
+    timelineOutPath: getTimelinePath(boundsOutPath),
+    requiredLayers,
+    imageLayers,
+  });
+  await fs.remove(scriptPath);
+}
+
+// File next to the bounds file that holds the template's timeline duration
+function getTimelinePath(boundsOutPath) {
+  return boundsOutPath.replace('.txt', '_timeline.txt');
+}
+
+// Template timeline duration in seconds, null when the template has no timeline
+function readTimelineFile(timelinePath) {
+  if (!fs.existsSync(timelinePath)) return null;
+  const seconds = parseFloat(fs.readFileSync(timelinePath, 'utf-8'));
+  return seconds > 0 ? seconds : null;
+}
+
+// Pick the executor that matches the current platform
+function defaultExecutor() {
+  if (os.platform() === 'darwin') return 'osascript';
+  if (os.platform() === 'win32') return 'cscript';
+  return null;
+}
+
+// Available executor backends. Each one receives the absolute JSX path, the timeout
+// in seconds and a job description ({ kind: 'bounds' | 'batch', ... }).
+const EXECUTORS = {
+  'osascript': runWithOsascript,
+  'cscript': runWithCscript,
+  'dry-run': runDryRun,
+  'command': runWithCommand,
+};
+
+// Reusable function to execute Photoshop scripts
+async function executePhotoshopScript(jsxPath, timeoutSeconds = 300, job = {}) {
+  const jsxAbsPath = path.resolve(jsxPath);
+
+  if (!EXECUTOR) {
+    throw new Error("❌ Script execution is only supported on macOS and Windows. Use --executor dry-run or --executor command on other platforms.");
+  }
+
+  const executor = EXECUTORS[EXECUTOR];
+  if (!executor) {
+    throw new Error(`❌ Unknown executor "${EXECUTOR}". Supported values: ${Object.keys(EXECUTORS).join(', ')}`);
+  }
+
+  return executor(jsxAbsPath, timeoutSeconds, job);
+}
+
+// macOS: drive Photoshop through AppleScript
+function runWithOsascript(jsxAbsPath, timeoutSeconds) {
+  return new Promise((resolve, reject) => {
+    const osaCmd = [
+      `osascript`,
+      `-e 'with timeout of ${timeoutSeconds} seconds'`,
+      `-e 'tell application "${PS_APP_NAME}"'`,
+      `-e 'do javascript file "${jsxAbsPath}"'`,
+      `-e 'end tell'`,
+      `-e 'end timeout'`
+    ].join(' ');
+
+    // AppleScript enforces the timeout itself, the extra grace period only catches a stuck osascript
+    exec(osaCmd, { timeout: (timeoutSeconds + 30) * 1000 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`❌ Error executing Photoshop script: ${error.message}`));
+      } else {
+        logger.log(`✅ Photoshop script executed successfully`);
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+// Windows: drive Photoshop through a generated VBScript
+function runWithCscript(jsxAbsPath, timeoutSeconds) {
+  return new Promise((resolve, reject) => {
+    const vbscript = `
+      Set app = CreateObject("Photoshop.Application")
+      app.DoJavaScriptFile("${jsxAbsPath.replace(/\\/g, "\\\\")}")
+    `;
+    const vbsPath = path.join(TEMP_DIR, 'run_temp.vbs');
+    fs.writeFileSync(vbsPath, vbscript);
+
+    exec(`cscript //nologo ${vbsPath}`, { timeout: timeoutSeconds * 1000 }, (error, stdout, stderr) => {
+      fs.removeSync(vbsPath);
+      if (error) {
+        reject(new Error(`❌ Error executing Photoshop script: ${error.message}`));
+      } else {
+        logger.log(`✅ Photoshop script executed successfully`);
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+// Quote an argument for the shell exec() runs the command in: cmd.exe on Windows, where
+// paths can't contain double quotes, and /bin/sh elsewhere, where nothing is expanded
+// inside single quotes and an embedded quote is written as '\''
+function quoteShellArgument(value) {
+  if (os.platform() === 'win32') return `"${value}"`;
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+// Any platform: hand the JSX over to a user supplied program
+function runWithCommand(jsxAbsPath, timeoutSeconds, job) {
+  if (!EXECUTOR_COMMAND) {
+    return Promise.reject(new Error('❌ --executor command requires --executor-command "<program>"'));
+  }
+
+  const quotedPath = quoteShellArgument(jsxAbsPath);
+  const command = EXECUTOR_COMMAND.includes('{script}')
+    ? EXECUTOR_COMMAND.split('{script}').join(quotedPath)
+    : `${EXECUTOR_COMMAND} ${quotedPath}`;
+
+  const env = {
+    ...process.env,
+    PSD_TO_MP4_SCRIPT: jsxAbsPath,
+    PSD_TO_MP4_STEP: job.kind || 'script',
+    PSD_TO_MP4_TIMEOUT: String(timeoutSeconds),
+  };
+
+  return new Promise((resolve, reject) => {
+    exec(command, { env, timeout: timeoutSeconds * 1000 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`❌ Error executing Photoshop script via "${EXECUTOR_COMMAND}": ${error.message}`));
+      } else {
+        logger.log(`✅ Photoshop script executed successfully`);
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+// Dry run: keep every generated script, record a plan and fake the outputs Photoshop would write
+let dryRunPlan = null;
+
+async function loadDryRunFixture() {
+  if (!DRY_RUN_FIXTURE) return {};
+  try {
+    return await fs.readJson(DRY_RUN_FIXTURE);
+  } catch (err) {
+    throw new Error(`❌ Could not read dry-run fixture ${DRY_RUN_FIXTURE}: ${err.message}`);
+  }
+}
+
+async function runDryRun(jsxAbsPath, timeoutSeconds, job) {
+  if (!dryRunPlan) {
+    await fs.emptyDir(DRY_RUN_DIR);
+    dryRunPlan = { executor: 'dry-run', fixture: DRY_RUN_FIXTURE, createdAt: new Date().toISOString(), steps: [] };
+  }
+
+  const fixture = await loadDryRunFixture();
+  const step = dryRunPlan.steps.length + 1;
+  const scriptCopy = path.join(DRY_RUN_DIR, `${String(step).padStart(2, '0')}_${path.basename(jsxAbsPath)}`);
+  await fs.copy(jsxAbsPath, scriptCopy);
+
+  const { kind = 'script', ...details } = job;
+  dryRunPlan.steps.push({ step, kind, script: scriptCopy, timeoutSeconds, ...details });
+
+  if (kind === 'bounds') {
+    // Per-template fixture values (keyed by template file name) win over the top-level ones
+    const templateName = path.basename(job.templatePath, path.extname(job.templatePath));
+    const templateFixture = (fixture.templates && fixture.templates[templateName]) || {};
+    const bounds = templateFixture.bounds || fixture.bounds || {};
+    const boundsMsg = Object.entries(bounds)
+      .map(([name, dim]) => `${name}=${dim.width},${dim.height}`)
+      .join('\r');
+    await fs.outputFile(job.boundsOutPath, boundsMsg);
+
+    const missingLayers = (templateFixture.missingLayers || fixture.missingLayers || []).filter(layer => (job.requiredLayers || []).includes(layer));
+    const validationMsg = missingLayers.length > 0
+      ? `MISSING_LAYERS:${missingLayers.join(',')}\r`
+      : 'ALL_LAYERS_FOUND\r';
+    await fs.outputFile(job.validationOutPath, `${validationMsg}=== DRY RUN: outputs faked from ${DRY_RUN_FIXTURE || 'empty fixture'} ===\r\n`);
+    await fs.outputFile(job.timelineOutPath, String(templateFixture.timeline ?? fixture.timeline ?? ''));
+  }
+
+  if (kind === 'inspect') {
+    const templateName = path.basename(job.templatePath, path.extname(job.templatePath));
+    await fs.outputJson(job.outputPath, fixture.inspect || { document: `${templateName}.psd`, timeline: {}, layers: [] });
+  }
+
+  let timedOutAt = null;
+  if (kind === 'batch' && job.resultsPath) {
+    const fakeResults = fixture.results || {};
+    // "timeouts" makes the script stop at a row during its first n attempts, as if Photoshop hung there
+    const timeouts = fixture.timeouts || {};
+    const rows = job.rows || [];
+    const stopIndex = rows.findIndex(row => (timeouts[row.productId] || 0) >= (job.attempt || 1));
+    if (stopIndex !== -1) timedOutAt = rows[stopIndex].productId;
+    const results = (stopIndex === -1 ? rows : rows.slice(0, stopIndex)).map(row => ({
+      productId: row.productId,
+      status: 'dry-run',
+      layersReplaced: [],
+      textReplaced: [],
+      layersUpdated: [],
+      psdSaved: false,
+      psdPath: row.psdPath || null,
+      videoExported: false,
+      videos: (row.videos || []).map(video => ({ ...video, exported: false })),
+      errors: [],
+      timings: {},
+      durationMs: 0,
+      ...fakeResults[row.productId],
+    }));
+    await fs.outputJson(job.resultsPath, results);
+  }
+
+  const planPath = path.join(DRY_RUN_DIR, 'plan.json');
+  await fs.writeJson(planPath, dryRunPlan, { spaces: 2 });
+  logger.log(`🧪 Dry run: ${kind} script saved to ${scriptCopy}`);
+  if (timedOutAt) {
+    throw new Error(`❌ Dry run: script timed out after ${timeoutSeconds} seconds at ${timedOutAt} (from the fixture's "timeouts")`);
+  }
+  return '';
+}
+
+// Function to validate layer presence from validation file. Returns what is wrong, null when all layers were found.
+function validateLayersFromFile(validationFilePath) {
+  let content;
+  try {
+    content = fs.readFileSync(validationFilePath, 'utf-8');
+  } catch (err) {
+    return `Could not read validation file: ${err.message}`;
+  }
+  const lines = content.split(/\r?\n|\r/g);
+  const validationLine = lines.find(line => line.startsWith('MISSING_LAYERS:') || line.startsWith('ALL_LAYERS_FOUND'));
+
+  if (!validationLine) {
+    return `Could not find validation results in ${validationFilePath}`;
+  }
+
+  if (validationLine.startsWith('MISSING_LAYERS:')) {
+    const missingLayers = validationLine.replace('MISSING_LAYERS:', '').split(',');
+    return `Missing required layers: ${missingLayers.join(', ')}`;
+  }
+
+  logger.log('✅ All required layers found in template');
+  return null;
+}
+
+// Columns that describe the row itself and never map to a layer
+const RESERVED_COLUMNS = ['id', 'product_id', 'output', 'template', 'audio', 'duration', 'work_in', 'work_out', '_templatePath'];
+
+// Companion columns carry per-row options for another column: "<column>__<option>",
+// e.g. "Image 1__fit" or "Image 1__focus"
+const COMPANION_SEPARATOR = '__';
+
+function isReservedColumn(key) {
+  return RESERVED_COLUMNS.includes(key) || isCompanionColumn(key);
+}
+
+function isCompanionColumn(key) {
+  return key.indexOf(COMPANION_SEPARATOR) > 0;
+}
+
+// Value of a companion column, e.g. getCompanionValue(row, "Image 1", "fit")
+function getCompanionValue(row, column, option) {
+  const value = row[`${column}${COMPANION_SEPARATOR}${option}`];
+  return value === undefined || value === '' ? null : value;
+}
+
+function isImageColumn(key) {
+  const column = resolveColumn(key);
+  return !!column && column.type === 'image';
+}
+
+// --- Config files ---
+// Mapping, rules, renditions, post-process and spec files are JSON, or YAML when the
+// file name ends in .yaml / .yml. "label" names the file in the error, e.g. "rules file".
+function readConfigFile(filePath, label) {
+  try {
+    const source = fs.readFileSync(filePath, 'utf-8');
+    return /\.ya?ml$/i.test(filePath) ? yaml.load(source) : JSON.parse(source);
+  } catch (err) {
+    throw new Error(`❌ Could not read ${label} ${filePath}: ${err.message}`);
+  }
+}
+
+// --- Column mapping ---
+// An optional mapping file (JSON or YAML, --mapping) declares per column the target
+// layer (name or path like "Group/Hero/Image"), the operation type and its options:
+//
+//   columns:
+//     Image 1:       { layer: "Group/Hero/Image", type: image, options: { fit: cover } }
+//     image_caption: { layer: Caption, type: text }
+//     headline:      { layer: Title, type: smart-text }
+//     sale_badge:    { layer: "Badges/SALE", type: visibility }
+//     notes:         { type: ignore }
+//
+// A plain string is shorthand for { layer: "<string>" }. Columns that are not mapped
+// (and missing types) fall back to the naming heuristics.
+const COLUMN_TYPES = ['image', 'video', 'smart-text', 'text', 'visibility', 'color', 'opacity', 'variant', 'timing', 'ignore'];
+
+// Column prefixes for layer operations other than content replacement, e.g. "show_SALE"
+// toggles the SALE layer and "variant_Background" shows one child of the Background group
+const COLUMN_PREFIXES = {
+  show_: 'visibility',
+  color_: 'color',
+  opacity_: 'opacity',
+  variant_: 'variant',
+  time_: 'timing',
+  video_: 'video',
+};
+let COLUMN_MAPPING = {};
+
+function loadColumnMapping(mappingPath) {
+  const content = readConfigFile(mappingPath, 'mapping file');
+
+  const columns = content && (content.columns || content);
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    throw new Error(`❌ Mapping file ${mappingPath} must contain a "columns" object`);
+  }
+
+  const mapping = {};
+  const errors = [];
+  for (const [column, entry] of Object.entries(columns)) {
+    const normalized = typeof entry === 'string' ? { layer: entry } : entry;
+    if (!normalized || typeof normalized !== 'object') {
+      errors.push(`${column}: expected a layer name or an object`);
+      continue;
+    }
+    if (normalized.type && !COLUMN_TYPES.includes(normalized.type)) {
+      errors.push(`${column}: unknown type "${normalized.type}" (supported: ${COLUMN_TYPES.join(', ')})`);
+    }
+    if (normalized.layer !== undefined && (typeof normalized.layer !== 'string' || !normalized.layer.trim())) {
+      errors.push(`${column}: "layer" must be a non-empty string`);
+    }
+    mapping[column] = { layer: normalized.layer, type: normalized.type, options: normalized.options || {} };
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`❌ Invalid mapping file ${mappingPath}:\n  ${errors.join('\n  ')}`);
+  }
+  return mapping;
+}
+
+// Naming heuristics: operation prefixes (show_, color_, opacity_, variant_, time_, video_) first, then
+// "image" anywhere -> Smart Object image, "txt_" prefix -> text inside a Smart Object,
+// everything else -> text layer
+function getColumnPrefix(key) {
+  return Object.keys(COLUMN_PREFIXES).find(prefix => key.startsWith(prefix) && key.length > prefix.length) || null;
+}
+
+function inferColumnType(key) {
+  const prefix = getColumnPrefix(key);
+  if (prefix) return COLUMN_PREFIXES[prefix];
+  if (key.toLowerCase().includes('image')) return 'image';
+  if (key.startsWith('txt_')) return 'smart-text';
+  return 'text';
+}
+
+// Resolve a column to { column, type, layer, options }, or null when it maps to no layer
+function resolveColumn(key) {
+  if (isReservedColumn(key)) return null;
+
+  const mapped = COLUMN_MAPPING[key] || {};
+  if (mapped.type === 'ignore') return null;
+
+  const type = mapped.type || inferColumnType(key);
+  const prefix = type === 'smart-text' && key.startsWith('txt_') ? 'txt_' : getColumnPrefix(key);
+  const defaultLayer = prefix && (type === 'smart-text' || COLUMN_PREFIXES[prefix] === type) ? key.slice(prefix.length) : key;
+  return { column: key, type, layer: mapped.layer || defaultLayer, options: mapped.options || {} };
+}
+
+// --- Layer operation values ---
+// Cells of visibility, color and opacity columns are parsed up front, so that typos are
+// reported before Photoshop runs. Empty cells leave the layer as it is in the template.
+// Visibility cells use the same yes/no values as boolean options (parseYesNo).
+
+// "#ff8800", "ff8800" or "#f80" -> "FF8800"
+function parseHexColor(value) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value).trim());
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+  return hex.toUpperCase();
+}
+
+// "80", "80%" or "0.8"... only 0-100 is accepted to keep it unambiguous
+function parseOpacity(value) {
+  const number = Number(String(value).trim().replace(/%$/, ''));
+  return Number.isFinite(number) && number >= 0 && number <= 100 ? number : null;
+}
+
+// Problem with a cell of a layer operation column, or null when it is valid
+function validateLayerValue(column, value) {
+  if (value === undefined || String(value).trim() === '') return null;
+  if (column.type === 'visibility' && parseYesNo(value) === null) {
+    return `"${value}" is not a visibility value (use ${YES_VALUES.slice(0, 3).join('/')} or ${NO_VALUES.slice(0, 3).join('/')})`;
+  }
+  if (column.type === 'color' && !parseHexColor(value)) return `"${value}" is not a hex colour like #ff8800`;
+  if (column.type === 'opacity' && parseOpacity(value) === null) return `"${value}" is not an opacity between 0 and 100`;
+  return null;
+}
+
+// --- Timeline ---
+// Rows can change the template's timeline before it is exported:
+//
+//   duration   overall video duration in seconds (default: --duration or the template's)
+//   work_in    start of the rendered range in seconds (default: --work-in or 0)
+//   work_out   end of the rendered range in seconds (default: --work-out or the duration)
+//
+// "time_<layer>" columns move a layer on the timeline: the cell shifts the whole layer by
+// that many seconds, the companion columns "__in" and "__out" move its in and out points
+// (negative values trim earlier, positive later). The same keys work as mapping options.
+const TIMELINE_COLUMNS = { duration: 'duration', workIn: 'work_in', workOut: 'work_out' };
+let TIMELINE_DEFAULTS = {};
+
+// "1.5" or "1.5s" -> 1.5
+function parseSeconds(value) {
+  const text = String(value).trim().replace(/s$/i, '');
+  const seconds = text === '' ? NaN : Number(text);
+  return Number.isFinite(seconds) ? seconds : null;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Timeline settings of a row, in seconds. Unset values are null and leave the template as it is.
+function getTimelineOptions(row) {
+  const options = {};
+  for (const [option, column] of Object.entries(TIMELINE_COLUMNS)) {
+    const value = isBlank(row[column]) ? TIMELINE_DEFAULTS[option] : row[column];
+    options[option] = isBlank(value) ? null : value;
+  }
+  return options;
+}
+
+// Returns an error message for invalid timeline settings, null when they are fine
+function validateTimelineOptions(options) {
+  const errors = [];
+  const seconds = {};
+  for (const [option, column] of Object.entries(TIMELINE_COLUMNS)) {
+    if (options[option] === null) continue;
+    seconds[option] = parseSeconds(options[option]);
+    if (seconds[option] === null || seconds[option] < 0) errors.push(`${column} "${options[option]}" must be a number of seconds`);
+  }
+  if (options.duration !== null && seconds.duration === 0) errors.push('duration must be longer than 0 seconds');
+  if (errors.length === 0) {
+    const end = seconds.workOut ?? seconds.duration;
+    if (end !== undefined && seconds.workIn !== undefined && seconds.workIn >= end) errors.push(`work_in ${seconds.workIn}s must be before the end of the work area (${end}s)`);
+    if (seconds.workOut !== undefined && seconds.duration !== undefined && seconds.workOut > seconds.duration) {
+      errors.push(`work_out ${seconds.workOut}s is after the end of the video (${seconds.duration}s)`);
+    }
+  }
+  return errors.length > 0 ? errors.join(', ') : null;
+}
+
+// Offsets of a time_ column: { shift, in, out } in seconds, null when not set
+function getLayerTimingOptions(row, column, value) {
+  const mappedOptions = (COLUMN_MAPPING[column] && COLUMN_MAPPING[column].options) || {};
+  const pick = option => {
+    const optionValue = getCompanionValue(row, column, option) ?? mappedOptions[option];
+    return isBlank(optionValue) ? null : optionValue;
+  };
+  return { shift: isBlank(value) ? pick('shift') : value, in: pick('in'), out: pick('out') };
+}
+
+function validateLayerTimingOptions(options) {
+  const errors = Object.entries(options)
+    .filter(([, value]) => value !== null && parseSeconds(value) === null)
+    .map(([option, value]) => `${option} "${value}" must be a number of seconds`);
+  return errors.length > 0 ? errors.join(', ') : null;
+}
+
+// Template of a row: the 'template' column (resolved against --templates, ".psd" may be
+// omitted) or the --template default
+function getRowTemplatePath(row) {
+  if (!row.template) return TEMPLATE_PATH;
+
+  const templatePath = path.resolve(TEMPLATES_DIR, row.template);
+  if (!path.extname(templatePath)) {
+    const withExtension = ['.psd', '.psb'].map(ext => templatePath + ext).find(candidate => fs.existsSync(candidate));
+    if (withExtension) return withExtension;
+  }
+  return templatePath;
+}
+
+// Group rows by template. Every template gets a unique key used for its temp folder and
+// bounds files, even when two templates in different folders share a file name.
+function groupRowsByTemplate(rows) {
+  const groups = new Map();
+  const usedKeys = new Set();
+
+  for (const row of rows) {
+    const templatePath = getRowTemplatePath(row);
+    if (!groups.has(templatePath)) {
+      const name = path.basename(templatePath, path.extname(templatePath));
+      let key = name;
+      for (let n = 2; usedKeys.has(key); n++) key = `${name}_${n}`;
+      usedKeys.add(key);
+      groups.set(templatePath, { templatePath, name, key, rows: [] });
+    }
+    groups.get(templatePath).rows.push(row);
+  }
+
+  return Array.from(groups.values());
+}
+
+// Function to get all required layers from CSV data
+function getRequiredLayersFromData(rows) {
+  const requiredLayers = new Set();
+
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      const column = resolveColumn(key);
+      if (!column) continue;
+      requiredLayers.add(column.layer);
+      // The picked variant has to exist inside its group as well
+      if (column.type === 'variant' && row[key]) requiredLayers.add(`${column.layer}/${row[key]}`);
+    }
+  }
+
+  return Array.from(requiredLayers);
+}
+
+// Layers that receive images or video clips and therefore need their bounds measured
+function getImageLayersFromData(rows) {
+  const imageLayers = new Set();
+
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      const column = resolveColumn(key);
+      if (column && ['image', 'video'].includes(column.type)) imageLayers.add(column.layer);
+    }
+  }
+
+  return Array.from(imageLayers);
+}
+
+// Output directory of a row: --out wins, otherwise the CSV output column (relative to --images)
+function getRowOutputDir(row) {
+  if (BASE_OUT_DIR) return BASE_OUT_DIR;
+  if (row.output) return path.resolve(IMAGE_DIR + "/" + row.output);
+  return null;
+}
+
+// Pre-flight failure: the message lists every problem, as nobody may be watching the console
+// (hot folder, job server). "details" holds the same problems one per entry.
+class ValidationError extends Error {
+  constructor(summary, details) {
+    super(`❌ ${summary}:\n${details.map(detail => `   ${detail}`).join('\n')}`);
+    this.details = details;
+  }
+}
+
+// NEW: Function to validate all paths before processing. Returns the problems found, empty when all is well.
+async function validateAllPaths(rows) {
+  logger.log('🔍 Validating all file paths before processing...');
+
+  const errors = [];
+
+  // Check CSV file, unless the rows were passed in code
+  if (DATA_PATH && !fs.existsSync(DATA_PATH)) {
+    errors.push(`Data file not found: ${DATA_PATH}`);
+  }
+
+  // Check template files (the --template default and every 'template' column value)
+  const missingTemplates = [];
+  for (const row of rows) {
+    const templatePath = getRowTemplatePath(row);
+    if (!templatePath) {
+      missingTemplates.push(`Product ${row["product_id"]}: No template specified. Provide --template or fill the 'template' column`);
+    } else if (!fs.existsSync(templatePath)) {
+      const message = `Template PSD not found: ${templatePath}`;
+      if (!missingTemplates.includes(message)) missingTemplates.push(message);
+    }
+  }
+
+  // Check images directory
+  if (!fs.existsSync(IMAGE_DIR)) {
+    errors.push(`Images directory not found: ${IMAGE_DIR}`);
+  }
+
+  // Fetch image URLs first so that they are checked like local files
+  await downloadRemoteImages(rows);
+  const failedDownloads = new Set();
+
+  // Check all image files referenced in CSV
+  const missingImages = [];
+  const invalidImageOptions = [];
+  const invalidOutputPaths = [];
+  const missingAudio = [];
+  const invalidLayerValues = [];
+  const invalidTextOptions = [];
+  const invalidTimeline = [];
+  const missingClips = [];
+  const remoteClips = [];
+  const invalidVideoOptions = [];
+  let clipsNeedFfmpeg = false;
+
+  for (const row of rows) {
+    const productId = row["product_id"];
+
+    // Check output directory path
+    const outputDir = getRowOutputDir(row);
+    try {
+      if (!outputDir) {
+        invalidOutputPaths.push(`Product ${productId}: No output directory specified`);
+        continue;
+      }
+
+      // Try to ensure output directory exists to validate path
+      await fs.ensureDir(outputDir);
+    } catch (err) {
+      invalidOutputPaths.push(`Product ${productId}: Invalid output path - ${err.message}`);
+    }
+
+    for (const url of getRemoteImageUrls(row)) {
+      if (downloadFailures.has(url)) failedDownloads.add(`${url}: ${downloadFailures.get(url)}`);
+    }
+
+    // Check values of visibility, color and opacity columns and the text styling options
+    for (const [key, value] of Object.entries(row)) {
+      const column = resolveColumn(key);
+      const valueError = column && validateLayerValue(column, value);
+      if (valueError) invalidLayerValues.push(`Product ${productId}, ${key}: ${valueError}`);
+      const textError = column && ['text', 'smart-text'].includes(column.type) && validateTextOptions(getTextOptions(row, key));
+      if (textError) invalidTextOptions.push(`Product ${productId}, ${key}: ${textError}`);
+      const timingError = column && column.type === 'timing' && validateLayerTimingOptions(getLayerTimingOptions(row, key, value));
+      if (timingError) invalidTimeline.push(`Product ${productId}, ${key}: ${timingError}`);
+    }
+    const timelineError = validateTimelineOptions(getTimelineOptions(row));
+    if (timelineError) invalidTimeline.push(`Product ${productId}: ${timelineError}`);
+
+    // Check all image files for this row (downloaded URLs were checked above)
+    for (const [key, value] of Object.entries(row)) {
+      if (isImageColumn(key) && value) {
+        const imagePath = resolveImagePath(value);
+        if (!(isImageUrl(value) && !/^file:/i.test(value.trim())) && !fs.existsSync(imagePath)) {
+          missingImages.push(`${key}: ${imagePath}`);
+        }
+        const optionsError = validateImageFitOptions(getImageFitOptions(row, key));
+        if (optionsError) {
+          invalidImageOptions.push(`Product ${productId}, ${key}: ${optionsError}`);
+        }
+      }
+    }
+
+    // Check video clips and how they are prepared
+    for (const [key, value] of Object.entries(row)) {
+      if (isVideoColumn(key) && value) {
+        // Unlike images, clips are not downloaded (isImageUrl matches any http(s) or file URL)
+        if (isImageUrl(value)) {
+          remoteClips.push(`Product ${productId}, ${key}: ${value}`);
+          continue;
+        }
+        const clipPath = path.resolve(IMAGE_DIR, value);
+        if (!fs.existsSync(clipPath)) missingClips.push(`${key}: ${clipPath}`);
+        const options = getVideoOptions(row, key);
+        const optionsError = validateVideoOptions(options);
+        if (optionsError) invalidVideoOptions.push(`Product ${productId}, ${key}: ${optionsError}`);
+        if (options.fit !== null || parseYesNo(options.trim) || parseSeconds(options.start) > 0) clipsNeedFfmpeg = true;
+      }
+    }
+
+    // Check audio files used by --post-process
+    for (const column of getAudioColumns()) {
+      if (row[column] && !fs.existsSync(path.resolve(IMAGE_DIR, row[column]))) {
+        missingAudio.push(`Product ${productId}, ${column}: ${path.resolve(IMAGE_DIR, row[column])}`);
+      }
+    }
+  }
+
+  // Probe the clips before Photoshop starts, and make sure ffmpeg can prepare them
+  try {
+    const unreadableClips = await probeClips(rows);
+    if (unreadableClips.length > 0) errors.push(`Unreadable video clips:\n  ${unreadableClips.join('\n  ')}`);
+    if (clipsNeedFfmpeg && invalidVideoOptions.length === 0) await checkFfmpeg('Trimming or scaling video clips');
+  } catch (err) {
+    errors.push(err.message.replace(/^❌ /, ''));
+  }
+
+  // The manifest, the report and the temp files are keyed by product_id, so it must be unique
+  const idCounts = new Map();
+  rows.forEach(row => idCounts.set(row["product_id"], (idCounts.get(row["product_id"]) || 0) + 1));
+  const duplicateIds = Array.from(idCounts).filter(([, count]) => count > 1).map(([id, count]) => `${id} (${count} rows)`);
+  if (duplicateIds.length > 0) {
+    errors.push(`Duplicate product_id values:\n  ${duplicateIds.join('\n  ')}`);
+  }
+
+  // Check output names: known tokens only and no two outputs sharing a file
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const nameErrors = [...new Set([NAME_PATTERN, PSD_NAME_PATTERN])].flatMap(pattern => validateNamePattern(pattern, columns));
+  if (nameErrors.length > 0) {
+    errors.push(`Invalid output name pattern:\n  ${nameErrors.join('\n  ')}`);
+  } else {
+    try {
+      const collisions = findNameCollisions(rows);
+      if (collisions.length > 0) {
+        errors.push(`Output name collisions (make --name unique per row, e.g. include {product_id}):\n  ${collisions.join('\n  ')}`);
+      }
+    } catch (err) {
+      errors.push(err.message.replace(/^❌ /, ''));
+    }
+  }
+
+  // Collect all errors
+  if (missingTemplates.length > 0) {
+    errors.push(`Missing templates:\n  ${missingTemplates.join('\n  ')}`);
+  }
+
+  if (missingImages.length > 0) {
+    errors.push(`Missing image files:\n  ${missingImages.join('\n  ')}`);
+  }
+
+  if (failedDownloads.size > 0) {
+    errors.push(`Failed image downloads:\n  ${Array.from(failedDownloads).join('\n  ')}`);
+  }
+
+  if (invalidLayerValues.length > 0) {
+    errors.push(`Invalid layer values:\n  ${invalidLayerValues.join('\n  ')}`);
+  }
+  if (invalidTextOptions.length > 0) {
+    errors.push(`Invalid text options:\n  ${invalidTextOptions.join('\n  ')}`);
+  }
+  if (invalidTimeline.length > 0) {
+    errors.push(`Invalid timeline values:\n  ${invalidTimeline.join('\n  ')}`);
+  }
+
+  if (missingClips.length > 0) {
+    errors.push(`Missing video clips:\n  ${missingClips.join('\n  ')}`);
+  }
+  if (remoteClips.length > 0) {
+    errors.push(`Video clips must be local files below --images, URLs are not downloaded:\n  ${remoteClips.join('\n  ')}`);
+  }
+  if (invalidVideoOptions.length > 0) {
+    errors.push(`Invalid video clip options:\n  ${invalidVideoOptions.join('\n  ')}`);
+  }
+
+  if (missingAudio.length > 0) {
+    errors.push(`Missing audio files:\n  ${missingAudio.join('\n  ')}`);
+  }
+
+  if (invalidImageOptions.length > 0) {
+    errors.push(`Invalid image fit options:\n  ${invalidImageOptions.join('\n  ')}`);
+  }
+
+  if (invalidOutputPaths.length > 0) {
+    errors.push(`Invalid output paths:\n  ${invalidOutputPaths.join('\n  ')}`);
+  }
+
+  if (errors.length === 0) logger.log('✅ All paths validated successfully');
+  return errors;
+}
+
+// --- Data rules ---
+// An optional rules file (--rules, JSON or YAML) adds per-column checks that run before
+// Photoshop is launched:
+//
+//   columns:
+//     product_id: { required: true, unique: true, regex: "^[a-z0-9_-]+$" }
+//     txt_Title:  { required: true, maxLength: 40 }
+//     locale:     { allowed: [en, de, fr], severity: warning }
+//     Image 1:    { minWidth: 1000, minHeight: 1000, aspect: "1:1", aspectTolerance: 0.05 }
+//
+// Rows with errors are not rendered (--strict aborts the run instead); warnings are only reported.
+const RULE_CHECKS = ['required', 'maxLength', 'minLength', 'regex', 'allowed', 'unique', 'minWidth', 'minHeight', 'aspect', 'aspectTolerance', 'severity'];
+let DATA_RULES = {};
+
+function loadRules(rulesPath) {
+  const content = readConfigFile(rulesPath, 'rules file');
+
+  const columns = content && (content.columns || content);
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    throw new Error(`❌ Rules file ${rulesPath} must contain a "columns" object`);
+  }
+
+  const errors = [];
+  const rules = {};
+  for (const [column, rule] of Object.entries(columns)) {
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${column}: expected an object of checks`);
+      continue;
+    }
+    const unknown = Object.keys(rule).filter(key => !RULE_CHECKS.includes(key));
+    if (unknown.length > 0) errors.push(`${column}: unknown check(s) ${unknown.join(', ')} (supported: ${RULE_CHECKS.join(', ')})`);
+    if (rule.severity !== undefined && !['error', 'warning'].includes(rule.severity)) errors.push(`${column}: severity must be "error" or "warning"`);
+    for (const key of ['maxLength', 'minLength', 'minWidth', 'minHeight', 'aspectTolerance']) {
+      if (rule[key] !== undefined && !(Number(rule[key]) >= 0)) errors.push(`${column}: "${key}" must be a positive number`);
+    }
+    if (rule.allowed !== undefined && !Array.isArray(rule.allowed)) errors.push(`${column}: "allowed" must be a list`);
+    if (rule.aspect !== undefined && !parseAspect(rule.aspect) && !(Number(rule.aspect) > 0)) errors.push(`${column}: aspect must look like "1:1" or 1.5`);
+
+    const compiled = { ...rule, severity: rule.severity || 'error' };
+    if (rule.regex !== undefined) {
+      try {
+        compiled.pattern = new RegExp(rule.regex, 'u');
+      } catch (err) {
+        errors.push(`${column}: invalid regex ${rule.regex}: ${err.message}`);
+      }
+    }
+    rules[column] = compiled;
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`❌ Invalid rules file ${rulesPath}:\n  ${errors.join('\n  ')}`);
+  }
+  return rules;
+}
+
+// Width and height as displayed, i.e. with EXIF rotation applied
+async function getImageSize(imagePath) {
+  const metadata = await sharp(imagePath).metadata();
+  const rotated = metadata.orientation >= 5;
+  return { width: rotated ? metadata.height : metadata.width, height: rotated ? metadata.width : metadata.height };
+}
+
+// Check every row against the rules. Returns a Map of row -> { label, errors, warnings }
+// for the rows with findings (keyed by row, as duplicate product_ids are one of the findings).
+async function validateRules(rows) {
+  await downloadRemoteImages(rows);
+  const findings = new Map();
+  const report = (row, severity, message) => {
+    if (!findings.has(row)) {
+      const index = rows.indexOf(row);
+      findings.set(row, { index, label: `${row["product_id"]} (row ${index + 1})`, errors: [], warnings: [] });
+    }
+    findings.get(row)[severity === 'warning' ? 'warnings' : 'errors'].push(message);
+  };
+
+  for (const [column, rule] of Object.entries(DATA_RULES)) {
+    const seen = new Map();
+
+    for (const row of rows) {
+      const value = row[column] === undefined ? '' : String(row[column]);
+      const fail = message => report(row, rule.severity, `${column}: ${message}`);
+
+      if (value.trim() === '') {
+        if (rule.required) fail('is required but empty');
+        continue;
+      }
+
+      const length = Array.from(value).length;
+      if (rule.maxLength !== undefined && length > Number(rule.maxLength)) fail(`${length} characters, max ${rule.maxLength} ("${value.slice(0, 40)}${length > 40 ? '…' : ''}")`);
+      if (rule.minLength !== undefined && length < Number(rule.minLength)) fail(`${length} characters, min ${rule.minLength}`);
+      if (rule.pattern && !rule.pattern.test(value)) fail(`"${value}" does not match ${rule.regex}`);
+      if (rule.allowed && !rule.allowed.map(String).includes(value)) fail(`"${value}" is not one of ${rule.allowed.join(', ')}`);
+      if (rule.unique) {
+        if (seen.has(value)) fail(`"${value}" is also used by row ${seen.get(value)}`);
+        else seen.set(value, rows.indexOf(row) + 1);
+      }
+
+      if (isImageColumn(column) && (rule.minWidth !== undefined || rule.minHeight !== undefined || rule.aspect !== undefined)) {
+        const imagePath = resolveImagePath(value);
+        if (!fs.existsSync(imagePath)) continue; // Reported as a missing image already
+
+        let size;
+        try {
+          size = await getImageSize(imagePath);
+        } catch (err) {
+          fail(`could not read image ${value}: ${err.message}`);
+          continue;
+        }
+        if (rule.minWidth !== undefined && size.width < Number(rule.minWidth)) fail(`image is ${size.width}x${size.height}, min width ${rule.minWidth}`);
+        if (rule.minHeight !== undefined && size.height < Number(rule.minHeight)) fail(`image is ${size.width}x${size.height}, min height ${rule.minHeight}`);
+        if (rule.aspect !== undefined) {
+          const expected = parseAspect(rule.aspect) || Number(rule.aspect);
+          const tolerance = rule.aspectTolerance !== undefined ? Number(rule.aspectTolerance) : 0.01;
+          const actual = size.width / size.height;
+          if (Math.abs(actual - expected) / expected > tolerance) {
+            fail(`image aspect ${size.width}x${size.height} (${actual.toFixed(3)}) is not ${rule.aspect} within ${Math.round(tolerance * 100)}%`);
+          }
+        }
+      }
+    }
+  }
+
+  return findings;
+}
+
+function printRuleFindings(findings) {
+  const errorCount = Array.from(findings.values()).reduce((sum, finding) => sum + finding.errors.length, 0);
+  const warningCount = Array.from(findings.values()).reduce((sum, finding) => sum + finding.warnings.length, 0);
+  if (findings.size === 0) {
+    logger.log('✅ All rows passed the data rules');
+    return;
+  }
+
+  logger.log(`📋 Data rules: ${errorCount} error(s), ${warningCount} warning(s) in ${findings.size} row(s)`);
+  for (const finding of Array.from(findings.values()).sort((a, b) => a.index - b.index)) {
+    logger.log(`   ${finding.errors.length > 0 ? '❌' : '⚠️'} ${finding.label}:`);
+    finding.errors.forEach(message => logger.log(`      error:   ${message}`));
+    finding.warnings.forEach(message => logger.log(`      warning: ${message}`));
+  }
+}
+
+// Shared JSX prelude: layer search plus the per-row result bookkeeping.
+// Each finished row is appended to the results file right away, so a crash
+// halfway through the batch still leaves the results of the rows before it.
+function generateResultsPrelude(resultsPath) {
+  return `
+var __results = [];
+var __resultsFile = new File(${jsxPath(resultsPath)});
+
+${JSX_JSON}
+function __writeResults() {
+  __resultsFile.encoding = "UTF-8";
+  if (__resultsFile.open("w")) {
+    __resultsFile.write(__toJSON(__results));
+    __resultsFile.close();
+  }
+}
+
+function __startRow(productId, psdPath, videos) {
+  return {
+    productId: productId,
+    status: "running",
+    layersReplaced: [],
+    textReplaced: [],
+    layersUpdated: [],
+    psdSaved: false,
+    psdPath: psdPath,
+    videoExported: false,
+    videos: videos,
+    errors: [],
+    warnings: [],
+    timings: {},
+    startedAt: new Date().getTime()
+  };
+}
+
+function __finishRow(row) {
+  row.finishedAt = new Date().getTime();
+  row.durationMs = row.finishedAt - row.startedAt;
+  row.videoExported = row.videos.length > 0;
+  for (var i = 0; i < row.videos.length; i++) {
+    if (!row.videos[i].exported) row.videoExported = false;
+  }
+  row.status = row.errors.length > 0 ? "failed" : "ok";
+  __results.push(row);
+  __writeResults();
+}
+
+${JSX_LAYER_LOOKUP}
+${JSX_TEXT}
+${JSX_TIMELINE}`;
+}
+
+// JSX for the layer operations: show/hide, fill or text colour, opacity and variant picking.
+// Successful operations are recorded in row.layersUpdated.
+function generateLayerOperationJSX(column, value) {
+  let body;
+  if (column.type === 'visibility') {
+    body = `
+    layer.visible = ${parseYesNo(value) ? 'true' : 'false'};`;
+  } else if (column.type === 'opacity') {
+    body = `
+    layer.opacity = ${parseOpacity(value)};`;
+  } else if (column.type === 'color') {
+    const hex = parseHexColor(value);
+    body = `
+    if (layer.kind === LayerKind.TEXT) {
+      var textColor = new SolidColor();
+      textColor.rgb.hexValue = ${jsxString(hex)};
+      layer.textItem.color = textColor;
+    } else if (layer.kind === LayerKind.SOLIDFILL) {
+      doc.activeLayer = layer;
+      var desc = new ActionDescriptor();
+      var ref = new ActionReference();
+      ref.putEnumerated(stringIDToTypeID("contentLayer"), charIDToTypeID("Ordn"), charIDToTypeID("Trgt"));
+      desc.putReference(charIDToTypeID("null"), ref);
+      var fill = new ActionDescriptor();
+      var rgb = new ActionDescriptor();
+      rgb.putDouble(charIDToTypeID("Rd  "), ${parseInt(hex.slice(0, 2), 16)});
+      rgb.putDouble(charIDToTypeID("Grn "), ${parseInt(hex.slice(2, 4), 16)});
+      rgb.putDouble(charIDToTypeID("Bl  "), ${parseInt(hex.slice(4, 6), 16)});
+      fill.putObject(charIDToTypeID("Clr "), charIDToTypeID("RGBC"), rgb);
+      desc.putObject(charIDToTypeID("T   "), stringIDToTypeID("solidColorLayer"), fill);
+      executeAction(charIDToTypeID("setd"), desc, DialogModes.NO);
+    } else {
+      throw "not a solid colour fill, shape or text layer";
+    }`;
+  } else {
+    body = `
+    if (layer.typename !== "LayerSet") throw "not a layer group";
+    var picked = false;
+    for (var i = 0; i < layer.layers.length; i++) {
+      layer.layers[i].visible = layer.layers[i].name === ${jsxString(String(value))};
+      if (layer.layers[i].visible) picked = true;
+    }
+    if (!picked) throw "no variant named " + ${jsxString(String(value))};
+    layer.visible = true;`;
+  }
+
+  return `
+  try {
+    var layer = findLayerByPath(doc, ${jsxString(column.layer)});
+    if (!layer) throw "Layer not found";${body}
+    row.layersUpdated.push(${jsxString(column.column)});
+  } catch (e) {
+    row.errors.push("Failed to apply ${column.type} for " + ${jsxString(column.column)} + ": " + e);
+  }
+`;
+}
+
+// File names of a row's outputs: the saved PSD plus one video per rendition, named by --name
+function getOutputPaths(row, templateName, outputDir, renditions, exportMP4Only) {
+  const withSuffix = !usesRenditionTokens(NAME_PATTERN);
+  return {
+    psdPath: exportMP4Only ? null : path.join(outputDir, `${renderName(PSD_NAME_PATTERN, row, templateName, renditions[0])}.psd`),
+    videos: renditions.map(rendition => ({
+      rendition: rendition.name,
+      path: path.join(outputDir, `${renderName(NAME_PATTERN, row, templateName, rendition)}${withSuffix ? rendition.suffix : ''}.${getVideoExtension(rendition.format)}`),
+    })),
+  };
+}
+
+function generateJSX(dataRow, outputs, renditions) {
+  const jsx = [];
+  const productId = dataRow["product_id"];
+  const videos = outputs.videos.map(video => `{ rendition: ${jsxString(video.rendition)}, path: ${jsxPath(video.path)}, exported: false }`);
+
+  jsx.push(`
+(function () {
+  var row = __startRow(${jsxString(productId)}, ${outputs.psdPath ? jsxPath(outputs.psdPath) : 'null'}, [${videos.join(', ')}]);
+  var doc;
+  try {
+    doc = app.open(new File(${jsxPath(dataRow._templatePath)}));
+  } catch (e) {
+    row.errors.push("Failed to open template: " + e);
+    __finishRow(row);
+    return;
+  }
+  var phaseStart = new Date().getTime();
+`);
+
+  for (const [key, value] of Object.entries(dataRow)) {
+    const column = resolveColumn(key);
+    if (!column) continue;
+
+    if (column.type === 'image') {
+      const imagePath = resolveImagePath(value);
+
+      jsx.push(`
+  try {
+    var imageLayer = findLayerByPath(doc, ${jsxString(column.layer)});
+    if (!imageLayer) throw "Layer not found";
+    doc.activeLayer = imageLayer;
+    var desc = new ActionDescriptor();
+    desc.putPath(charIDToTypeID("null"), new File(${jsxPath(imagePath)}));
+    executeAction(stringIDToTypeID("placedLayerReplaceContents"), desc, DialogModes.NO);
+    var idplacedLayerResetTransforms = stringIDToTypeID("placedLayerResetTransforms");
+    executeAction(idplacedLayerResetTransforms, undefined, DialogModes.NO);
+    row.layersReplaced.push(${jsxString(key)});
+  } catch (e) {
+    row.errors.push("Failed to replace image for " + ${jsxString(key)} + ": " + e);
+  }
+`);
+    } else if (column.type === 'video') {
+      if (!value) continue;
+      // Video layers get new footage, video Smart Objects new contents
+      jsx.push(`
+  try {
+    var videoLayer = findLayerByPath(doc, ${jsxString(column.layer)});
+    if (!videoLayer) throw "Layer not found";
+    doc.activeLayer = videoLayer;
+    var desc = new ActionDescriptor();
+    desc.putPath(charIDToTypeID("null"), new File(${jsxPath(path.resolve(IMAGE_DIR, value))}));
+    if (videoLayer.kind === LayerKind.VIDEO) {
+      executeAction(stringIDToTypeID("replaceFootage"), desc, DialogModes.NO);
+    } else if (videoLayer.kind === LayerKind.SMARTOBJECT) {
+      executeAction(stringIDToTypeID("placedLayerReplaceContents"), desc, DialogModes.NO);
+    } else {
+      throw "Not a video layer or Smart Object";
+    }
+    row.layersReplaced.push(${jsxString(key)});
+  } catch (e) {
+    row.errors.push("Failed to replace video for " + ${jsxString(key)} + ": " + e);
+  }
+`);
+    } else if (column.type === 'smart-text') {
+      const smartLayer = column.layer;
+      const textOptions = getTextOptions(dataRow, key);
+      const findText = textOptions.layer
+        ? `var lyr = findLayerByPath(smartDoc, ${jsxString(String(textOptions.layer))});
+    if (lyr && lyr.kind !== LayerKind.TEXT) lyr = null;`
+        : `var lyr = null;
+    for (var i = 0; i < smartDoc.layers.length; i++) {
+      if (smartDoc.layers[i].kind === LayerKind.TEXT) {
+        lyr = smartDoc.layers[i];
+        break;
+      }
+    }`;
+      jsx.push(`
+  try {
+    var smartLayer = findLayerByPath(doc, ${jsxString(smartLayer)});
+    if (!smartLayer) throw "Smart Object layer not found";
+    doc.activeLayer = smartLayer;
+
+    app.executeAction(stringIDToTypeID("placedLayerEditContents"), undefined, DialogModes.NO);
+    var smartDoc = app.activeDocument;
+
+    ${findText}
+
+    if (lyr) {
+      var overflow = __setText(lyr, ${jsxText(value)}, ${textStyleJSX(textOptions)});
+      if (overflow) row.warnings.push(${jsxString(key)} + ": text " + overflow);
+      row.textReplaced.push(${jsxString(key)});
+    } else {
+      row.errors.push("No text layer ${textOptions.layer ? `'" + ${jsxString(String(textOptions.layer))} + "' ` : ''}found in Smart Object '" + ${jsxString(smartLayer)} + "'");
+    }
+
+    smartDoc.close(SaveOptions.SAVECHANGES);
+  } catch (e) {
+    row.errors.push("Error editing Smart Object '" + ${jsxString(smartLayer)} + "': " + e);
+  }
+`);
+    } else if (column.type === 'timing') {
+      const timing = getLayerTimingOptions(dataRow, key, value);
+      const moves = [['moveAllTime', timing.shift], ['moveInTime', timing.in], ['moveOutTime', timing.out]]
+        .filter(([, seconds]) => seconds !== null && parseSeconds(seconds) !== 0)
+        .map(([event, seconds]) => `
+    __moveLayerTime(doc, timedLayer, ${jsxString(event)}, ${parseSeconds(seconds)}, frameRate);`);
+      if (moves.length > 0) {
+        jsx.push(`
+  try {
+    var timedLayer = findLayerByPath(doc, ${jsxString(column.layer)});
+    if (!timedLayer) throw "Layer not found";
+    var frameRate = __frameRate();${moves.join('')}
+    row.layersUpdated.push(${jsxString(key)});
+  } catch (e) {
+    row.errors.push("Failed to move " + ${jsxString(column.layer)} + " on the timeline: " + e);
+  }
+`);
+      }
+    } else if (['visibility', 'color', 'opacity', 'variant'].includes(column.type)) {
+      if (String(value).trim() !== '') jsx.push(generateLayerOperationJSX(column, value));
+    } else {
+      jsx.push(`
+  try {
+    var textLayer = findLayerByPath(doc, ${jsxString(column.layer)});
+    if (!textLayer || textLayer.kind !== LayerKind.TEXT) throw "Text layer not found";
+    var overflow = __setText(textLayer, ${jsxText(value)}, ${textStyleJSX(getTextOptions(dataRow, key))});
+    if (overflow) row.warnings.push(${jsxString(key)} + ": text " + overflow);
+    row.textReplaced.push(${jsxString(key)});
+  } catch(e) {
+    row.errors.push("Text replacement error (" + ${jsxString(key)} + "): " + e);
+  }
+`);
+    }
+  }
+
+  // Duration and work area are set after the layers have moved
+  const timeline = getTimelineOptions(dataRow);
+  const timelineChanges = [['duration', timeline.duration], ['workInTime', timeline.workIn], ['workOutTime', timeline.workOut]]
+    .filter(([, seconds]) => seconds !== null)
+    .map(([property, seconds]) => `
+    __setTimeline(${jsxString(property)}, ${parseSeconds(seconds)}, frameRate);`);
+  if (timelineChanges.length > 0) {
+    jsx.push(`
+  try {
+    var frameRate = __frameRate();${timelineChanges.join('')}
+  } catch (e) {
+    row.errors.push("Failed to set the timeline: " + e);
+  }
+`);
+  }
+  const workArea = timeline.workIn !== null || timeline.workOut !== null;
+
+  jsx.push(`
+  row.timings.replaceMs = new Date().getTime() - phaseStart;
+`);
+
+  // Save PSD to output directory
+  if (outputs.psdPath) {
+  jsx.push(`
+  phaseStart = new Date().getTime();
+  try {
+    var psdSaveOptions = new PhotoshopSaveOptions();
+    psdSaveOptions.embedColorProfile = true;
+    psdSaveOptions.alphaChannels = true;
+    var psdFile = new File(${jsxPath(outputs.psdPath)});
+    doc.saveAs(psdFile, psdSaveOptions, true, Extension.LOWERCASE);
+    row.psdSaved = true;
+  } catch(e) {
+    row.errors.push("Failed to save PSD: " + e);
+  }
+  row.timings.saveMs = new Date().getTime() - phaseStart;
+`);
+  }
+  // Export one video per rendition to the output directory
+  jsx.push(`
+  phaseStart = new Date().getTime();
+`);
+  outputs.videos.forEach((video, index) => {
+    const rendition = renditions[index];
+    jsx.push(`
+  try {
+    var desc = new ActionDescriptor();
+    var using = new ActionDescriptor();
+    using.putBoolean(stringIDToTypeID("useDocumentFrameRate"), ${!rendition.usePresetFrameRate ? 'true' : 'false'});
+
+    ${workArea ? `// Render the work area only
+    using.putBoolean(stringIDToTypeID("allFrames"), false);` : `using.putBoolean(stringIDToTypeID("allFrames"), true);`}
+    using.putString(stringIDToTypeID("ameFormatName"), ${jsxString(rendition.format)});
+
+    using.putString(stringIDToTypeID("amePresetName"), ${jsxString(rendition.preset)});
+
+    using.putBoolean(stringIDToTypeID("usePresetFrameRate"), ${rendition.usePresetFrameRate ? 'true' : 'false'});
+    using.putBoolean(stringIDToTypeID("usePresetSize"), ${rendition.usePresetSize ? 'true' : 'false'});
+
+    var exportFolder = new File(${jsxPath(path.dirname(video.path))});
+    using.putPath(stringIDToTypeID("directory"), exportFolder);
+    using.putString(stringIDToTypeID("name"), ${jsxString(path.basename(video.path))});
+
+    using.putEnumerated(stringIDToTypeID("fieldOrder"), stringIDToTypeID("videoField"), stringIDToTypeID("preset"));
+    using.putBoolean(stringIDToTypeID("manage"), true);
+    using.putEnumerated(stringIDToTypeID("pixelAspectRatio"), stringIDToTypeID("pixelAspectRatio"), stringIDToTypeID(${jsxString(rendition.aspect)}));
+    using.putEnumerated(stringIDToTypeID("renderAlpha"), stringIDToTypeID("alphaRendering"), stringIDToTypeID("none"));
+  ${rendition.width && rendition.height ? `
+    using.putBoolean(stringIDToTypeID("usePresetSize"), false);
+    // Custom size export
+    using.putEnumerated(stringIDToTypeID("sizeSelector"), stringIDToTypeID("footageSize"), stringIDToTypeID("customSize"));
+    using.putInteger(stringIDToTypeID("width"), ${jsxInteger(rendition.width)});
+    using.putInteger(stringIDToTypeID("height"), ${jsxInteger(rendition.height)});
+    ` : `
+    // Using  size
+    using.putEnumerated(stringIDToTypeID("sizeSelector"), stringIDToTypeID("footageSize"), stringIDToTypeID(${jsxString(rendition.size)}));
+    `}
+    desc.putObject(stringIDToTypeID("using"), stringIDToTypeID("videoExport"), using);
+    executeAction(stringIDToTypeID("export"), desc, DialogModes.NO);
+    row.videos[${index}].exported = true;
+  } catch(e) {
+    row.videos[${index}].error = String(e);
+    row.errors.push("Render failed (" + ${jsxString(rendition.name)} + "): " + e);
+  }
+`);
+  });
+
+  jsx.push(`
+  row.timings.exportMs = new Date().getTime() - phaseStart;
+
+  try {
+    // The outputs are saved as copies, the template copy stays as it was for a retry
+    doc.close(SaveOptions.DONOTSAVECHANGES);
+  } catch (e) {
+    row.errors.push("Failed to close document: " + e);
+  }
+  __finishRow(row);
+})();
+`);
+
+  return jsx.join("\n");
+}
+
+// --- Output naming ---
+// --name sets the file name (without extension) of every output. Tokens in braces are
+// replaced per row and rendition, optionally piped through filters:
+//
+//   {product_id}, {locale}, ...   any CSV column
+//   {template}                    template file name without extension
+//   {rendition}, {width}, {height}, {format}   properties of the rendition being exported
+//   {date} / {date:YYYYMMDD}      start of the run (YYYY, MM, DD, HH, mm, ss)
+//   {title|slug}                  filters: slug, lower, upper
+//
+// Without a rendition token, the rendition suffix is appended to video names. The PSD is
+// named with the first rendition unless --psd-name gives it a pattern of its own.
+const NAME_FILTERS = {
+  slug: value => value.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''),
+  lower: value => value.toLowerCase(),
+  upper: value => value.toUpperCase(),
+};
+const RENDITION_TOKENS = ['rendition', 'width', 'height', 'format'];
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+let RUN_STARTED_AT = new Date();
+
+function parseNamePattern(pattern) {
+  const tokens = [];
+  const regex = /\{([^{}|:]+)(?::([^{}|]*))?((?:\|[^{}|]+)*)\}/g;
+  let match;
+  while ((match = regex.exec(pattern))) {
+    tokens.push({
+      raw: match[0],
+      name: match[1].trim(),
+      format: match[2],
+      filters: match[3].split('|').map(filter => filter.trim()).filter(Boolean),
+    });
+  }
+  return tokens;
+}
+
+function formatDate(date, format = 'YYYY-MM-DD') {
+  const pad = value => String(value).padStart(2, '0');
+  const parts = {
+    YYYY: String(date.getFullYear()), MM: pad(date.getMonth() + 1), DD: pad(date.getDate()),
+    HH: pad(date.getHours()), mm: pad(date.getMinutes()), ss: pad(date.getSeconds()),
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, part => parts[part]);
+}
+
+// Problems with a pattern for the given CSV columns, e.g. unknown tokens or filters
+function validateNamePattern(pattern, columns) {
+  const errors = [];
+  const tokens = parseNamePattern(pattern);
+  if (/[{}]/.test(tokens.reduce((rest, token) => rest.replace(token.raw, ''), pattern))) {
+    errors.push(`"${pattern}" has unbalanced braces`);
+  }
+  for (const token of tokens) {
+    const known = ['template', 'date', ...RENDITION_TOKENS].includes(token.name) || columns.includes(token.name);
+    if (!known) errors.push(`"${pattern}": unknown token {${token.name}} (not a CSV column, template, rendition, width, height, format or date)`);
+    for (const filter of token.filters) {
+      if (!NAME_FILTERS[filter]) errors.push(`"${pattern}": unknown filter |${filter} (supported: ${Object.keys(NAME_FILTERS).join(', ')})`);
+    }
+  }
+  return errors;
+}
+
+// Make a rendered name safe on macOS, Windows and Linux file systems
+function sanitizeFileName(name) {
+  let safe = name
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .replace(/[/\\:*?"<>|]+/g, '-')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s._-]+|[\s._-]+$/g, '');
+  if (WINDOWS_RESERVED_NAMES.test(safe)) safe = `_${safe}`;
+  return safe.slice(0, 200);
+}
+
+function renderName(pattern, row, templateName, rendition) {
+  const values = {
+    ...row,
+    template: templateName,
+    rendition: rendition ? rendition.name : '',
+    width: rendition && rendition.width ? String(rendition.width) : '',
+    height: rendition && rendition.height ? String(rendition.height) : '',
+    format: rendition ? getVideoExtension(rendition.format) : '',
+  };
+
+  let name = pattern;
+  for (const token of parseNamePattern(pattern)) {
+    let value = token.name === 'date' ? formatDate(RUN_STARTED_AT, token.format) : String(values[token.name] ?? '');
+    for (const filter of token.filters) value = NAME_FILTERS[filter](value);
+    name = name.replace(token.raw, () => value);
+  }
+
+  const safe = sanitizeFileName(name);
+  if (!safe) throw new Error(`❌ Output name pattern "${pattern}" produced an empty file name for product ${row["product_id"]}`);
+  return safe;
+}
+
+function usesRenditionTokens(pattern) {
+  return parseNamePattern(pattern).some(token => RENDITION_TOKENS.includes(token.name));
+}
+
+// Every output of every row must get its own file; returns one message per collision.
+// Names are compared case-insensitively because macOS and Windows file systems are.
+function findNameCollisions(rows) {
+  const owners = new Map();
+  const collisions = [];
+
+  for (const row of rows) {
+    const outputDir = getRowOutputDir(row);
+    const templatePath = getRowTemplatePath(row);
+    if (!outputDir || !templatePath) continue;
+
+    const templateName = path.basename(templatePath, path.extname(templatePath));
+    const outputs = getOutputPaths(row, templateName, outputDir, RENDITIONS, EXPORT_MP4_ONLY);
+    const files = [outputs.psdPath, ...outputs.videos.map(video => video.path)].filter(Boolean);
+    for (const file of files) {
+      const key = path.resolve(file).toLowerCase();
+      const owner = owners.get(key);
+      if (owner !== undefined && owner !== row["product_id"]) {
+        collisions.push(`${file}: products ${owner} and ${row["product_id"]}`);
+      } else if (owner === row["product_id"]) {
+        collisions.push(`${file}: written twice for product ${row["product_id"]}`);
+      }
+      owners.set(key, row["product_id"]);
+    }
+  }
+
+  return collisions;
+}
+
+// --- Renditions ---
+// Every row is exported once per rendition while its document is open. Without a
+// renditions file there is a single rendition built from the CLI video flags.
+
+function getVideoExtension(format) {
+  return format === 'QuickTime' ? 'mov' : 'mp4';
+}
+
+function getDefaultRendition() {
+  return {
+    name: 'default',
+    preset: VIDEO_PRESET,
+    format: VIDEO_FORMAT,
+    size: VIDEO_SIZE,
+    width: VIDEO_WIDTH,
+    height: VIDEO_HEIGHT,
+    aspect: VIDEO_ASPECT,
+    usePresetFrameRate: USE_PRESET_FRAME_RATE,
+    usePresetSize: USE_PRESET_SIZE,
+    suffix: '',
+  };
+}
+
+let RENDITIONS = [];
+
+// Load a renditions file (JSON or YAML): a list, or { renditions: [...] }, of
+// { name, preset, size, width, height, format, aspect, suffix, usePresetFrameRate, usePresetSize }.
+function loadRenditions(renditionsPath) {
+  const content = readConfigFile(renditionsPath, 'renditions file');
+  return normalizeRenditions(Array.isArray(content) ? content : content && content.renditions, `file ${renditionsPath}`);
+}
+
+// Check a list of renditions from a file or the Node API. Missing fields fall back to
+// the CLI flags; the suffix defaults to "_<name>".
+function normalizeRenditions(list, source) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`❌ Renditions ${source} must contain a non-empty list of renditions`);
+  }
+
+  const errors = [];
+  const renditions = list.map((entry, index) => {
+    const rendition = { ...getDefaultRendition(), ...entry };
+    const label = entry.name || `#${index + 1}`;
+    if (!entry.name) errors.push(`${label}: "name" is required`);
+    if (entry.suffix === undefined) rendition.suffix = `_${String(rendition.name || index + 1).replace(/[^\w.-]+/g, '-')}`;
+    if (!ALLOWED_FORMATS.includes(rendition.format)) {
+      errors.push(`${label}: invalid format "${rendition.format}" (supported: ${ALLOWED_FORMATS.join(', ')})`);
+    }
+    if ((entry.width || entry.height) && ![rendition.width, rendition.height].every(value => Number.isInteger(Number(value)) && Number(value) > 0)) {
+      errors.push(`${label}: "width" and "height" must both be positive integers`);
+    }
+    return rendition;
+  });
+
+  const seen = new Set();
+  for (const rendition of renditions) {
+    const key = `${rendition.suffix}.${getVideoExtension(rendition.format)}`;
+    if (seen.has(key)) errors.push(`${rendition.name}: suffix "${rendition.suffix}" is used by another rendition of the same format`);
+    seen.add(key);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`❌ Invalid renditions ${source}:\n  ${errors.join('\n  ')}`);
+  }
+  return renditions;
+}
+
+// --- Chunked execution ---
+
+// Split the rows into chunks of --chunk-size rows. Without a chunk size all rows
+// go into a single chunk that keeps the classic generatedScript.jsx name.
+function splitIntoChunks(items, chunkSize) {
+  const size = chunkSize ? parseInt(chunkSize, 10) : items.length;
+  const chunks = [];
+  for (let start = 0; start < items.length; start += Math.max(size, 1)) {
+    chunks.push({ index: chunks.length + 1, items: items.slice(start, start + size) });
+  }
+
+  for (const chunk of chunks) {
+    const suffix = chunks.length > 1 ? `_chunk${String(chunk.index).padStart(3, '0')}` : '';
+    chunk.scriptPath = suffix ? path.join(TEMP_DIR, `generatedScript${suffix}.jsx`) : SCRIPT_PATH;
+    chunk.resultsPath = suffix ? path.join(TEMP_DIR, `results${suffix}.json`) : RESULTS_PATH;
+  }
+  return chunks;
+}
+
+// Every retry gets its own script and results file (results_chunk001_a2.json), so that
+// a late write of an earlier attempt can't be mistaken for the results of this one
+function getAttemptPath(filePath, attempt) {
+  if (attempt <= 1) return filePath;
+  const ext = path.extname(filePath);
+  return `${filePath.slice(0, -ext.length)}_a${attempt}${ext}`;
+}
+
+async function writeChunkScript(chunk, items, attempt = 1) {
+  const fullScript = `#target photoshop\n` + generateResultsPrelude(getAttemptPath(chunk.resultsPath, attempt)) + items.map(item => item.script).join("\n");
+  await fs.writeFile(getAttemptPath(chunk.scriptPath, attempt), fullScript);
+}
+
+// A retried row starts from a fresh copy of its template: the attempt that crashed may
+// have left its copy edited, or still open in Photoshop, and relative edits such as
+// timeline moves must not be applied twice
+async function prepareRetry(item, attempt) {
+  const templateCopy = getAttemptPath(item.row._templatePath, attempt);
+  await fs.copy(item.planned.templatePath, templateCopy);
+  item.script = generateJSX({ ...item.row, _templatePath: templateCopy }, item.outputs, RENDITIONS);
+}
+
+// Run one chunk with the per-chunk timeout. When Photoshop fails, crashes or times out,
+// the rows that did not record a result are written into a new script and retried.
+async function runChunk(chunk, totalChunks) {
+  const results = [];
+  const label = totalChunks > 1 ? `chunk ${chunk.index}/${totalChunks}` : 'batch';
+  let pending = chunk.items;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= CHUNK_RETRIES && pending.length > 0; attempt++) {
+    const scriptPath = getAttemptPath(chunk.scriptPath, attempt + 1);
+    const resultsPath = getAttemptPath(chunk.resultsPath, attempt + 1);
+    if (attempt > 0) {
+      logger.log(`🔁 Retrying ${pending.length} row(s) of ${label} (attempt ${attempt + 1}/${CHUNK_RETRIES + 1})...`);
+      for (const item of pending) await prepareRetry(item, attempt + 1);
+      await writeChunkScript(chunk, pending, attempt + 1);
+    }
+    pending.forEach(item => { item.planned.attempts = attempt + 1; });
+
+    logger.log(`🚀 Launching Photoshop and running ${label} (${pending.length} rows) with ${SCRIPT_TIMEOUT}s timeout...`);
+    await fs.remove(resultsPath);
+    lastError = null;
+    try {
+      await executePhotoshopScript(scriptPath, SCRIPT_TIMEOUT, {
+        kind: 'batch',
+        chunk: chunk.index,
+        attempt: attempt + 1,
+        resultsPath,
+        rows: pending.map(item => item.planned),
+      });
+    } catch (error) {
+      lastError = error;
+      logger.error(`❌ Error running ${label}: ${error.message}`);
+    }
+
+    const chunkResults = await readResultsFile(resultsPath);
+    const finished = new Set(chunkResults.map(result => result.productId));
+    results.push(...chunkResults);
+    pending = pending.filter(item => !finished.has(item.planned.productId));
+  }
+
+  const runErrors = new Map();
+  pending.forEach(item => runErrors.set(item.planned.productId, lastError || new Error('script ended before this row')));
+  if (pending.length > 0) {
+    logger.warn(`⚠️ ${pending.length} row(s) of ${label} did not finish, continuing with the next chunk`);
+  }
+  return { results, runErrors };
+}
+
+// --- Run manifest ---
+// The manifest remembers, per product_id, a hash of everything that influences the
+// row's outputs (cell values, referenced image files, the template and the render
+// options) together with the outputs and status of the last run.
+
+const fileHashCache = new Map();
+
+function hashFile(filePath) {
+  if (!fileHashCache.has(filePath)) {
+    fileHashCache.set(filePath, new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', data => hash.update(data))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    }));
+  }
+  return fileHashCache.get(filePath);
+}
+
+async function computeRowHash(row, templateHash) {
+  const images = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (isImageColumn(key) && value) {
+      const imagePath = resolveImagePath(value);
+      images[key] = fs.existsSync(imagePath) ? await hashFile(imagePath) : null;
+    }
+    if (isVideoColumn(key) && value) {
+      const clipPath = path.resolve(IMAGE_DIR, value);
+      images[key] = fs.existsSync(clipPath) ? await hashFile(clipPath) : null;
+    }
+  }
+  for (const column of getAudioColumns()) {
+    if (row[column]) {
+      const audioPath = path.resolve(IMAGE_DIR, row[column]);
+      images[column] = fs.existsSync(audioPath) ? await hashFile(audioPath) : null;
+    }
+  }
+
+  const payload = {
+    cells: row,
+    images,
+    template: templateHash,
+    render: {
+      renditions: RENDITIONS,
+      mapping: COLUMN_MAPPING,
+      fit: IMAGE_FIT,
+      padColor: IMAGE_PAD_COLOR,
+      focus: IMAGE_FOCUS,
+      autofit: TEXT_AUTOFIT,
+      minFontSize: MIN_FONT_SIZE,
+      timeline: TIMELINE_DEFAULTS,
+      videoFit: VIDEO_FIT,
+      videoTrim: VIDEO_TRIM,
+      exportMP4Only: EXPORT_MP4_ONLY,
+      name: NAME_PATTERN,
+      psdName: PSD_NAME_PATTERN,
+      postProcess: POST_PROCESS,
+    },
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+async function loadManifest(manifestPath) {
+  if (fs.existsSync(manifestPath)) {
+    try {
+      const manifest = await fs.readJson(manifestPath);
+      if (manifest && manifest.rows) return manifest;
+    } catch (err) {
+      logger.warn(`⚠️ Ignoring unreadable manifest ${manifestPath}: ${err.message}`);
+    }
+  }
+  return { version: 1, rows: {} };
+}
+
+function isUpToDate(entry, hash) {
+  if (!entry || entry.hash !== hash || entry.status !== 'ok') return false;
+  if (!Array.isArray(entry.outputs) || entry.outputs.length === 0) return false;
+  return entry.outputs.every(output => fs.existsSync(output) && fs.statSync(output).size > 0);
+}
+
+// Decide which rows need rendering. Returns the rows to render, report entries for the
+// skipped rows and the hash of every row (needed to update the manifest afterwards).
+async function selectRowsToRender(rows, manifest) {
+  const rowsToRender = [];
+  const skippedRows = [];
+  const rowHashes = new Map();
+
+  for (const row of rows) {
+    const productId = row["product_id"];
+    const hash = await computeRowHash(row, await hashFile(getRowTemplatePath(row)));
+    const entry = manifest.rows[productId];
+    rowHashes.set(productId, hash);
+
+    let skipReason = null;
+    if (ONLY_FAILED) {
+      if (!entry || entry.status !== 'failed') skipReason = 'did not fail in the previous run';
+    } else if (!FORCE_RENDER && isUpToDate(entry, hash)) {
+      skipReason = 'outputs are up to date';
+    }
+
+    if (skipReason) {
+      logger.log(`⏭️ Skipping product ${productId}: ${skipReason}`);
+      skippedRows.push(skippedReportRow(row, entry, skipReason));
+    } else {
+      rowsToRender.push(row);
+    }
+  }
+
+  return { rowsToRender, skippedRows, rowHashes };
+}
+
+function skippedReportRow(row, entry, skipReason) {
+  const outputs = (entry && entry.outputs) || [];
+  return {
+    productId: row["product_id"],
+    status: 'skipped',
+    template: getRowTemplatePath(row),
+    outputDir: getRowOutputDir(row),
+    layersReplaced: [],
+    textReplaced: [],
+    layersUpdated: [],
+    psdSaved: false,
+    psdPath: outputs.find(output => output.endsWith('.psd')) || null,
+    videoExported: false,
+    videos: ((entry && entry.videos) || outputs.filter(output => !output.endsWith('.psd'))).map(output => ({ rendition: null, path: output, exported: false })),
+    postOutputs: (entry && entry.postOutputs) || [],
+    violations: [],
+    errors: [],
+    timings: {},
+    durationMs: null,
+    attempts: 0,
+    skipReason,
+  };
+}
+
+// Report entry of a row that was not rendered because it breaks the data rules
+function invalidReportRow(row, finding) {
+  return {
+    ...skippedReportRow(row, null, 'breaks the data rules'),
+    status: 'failed',
+    videos: [],
+    errors: finding.errors.map(message => `Data rule failed: ${message}`),
+    warnings: finding.warnings,
+  };
+}
+
+// Rule warnings of the rows that were rendered or skipped, by product_id, ahead of
+// the warnings the script recorded (e.g. text that still overflows after auto-fit)
+function attachRuleWarnings(report, ruleFindings) {
+  const warningsById = new Map();
+  for (const [row, finding] of ruleFindings) {
+    if (finding.errors.length === 0) warningsById.set(row["product_id"], finding.warnings);
+  }
+  for (const row of report) {
+    row.warnings = [...(warningsById.get(row.productId) || []), ...(row.warnings || [])];
+  }
+}
+
+// Record the outcome of every rendered row. Dry runs render nothing and leave the manifest alone.
+async function updateManifest(manifestPath, manifest, report, rowHashes) {
+  for (const row of report) {
+    if (row.status !== 'ok' && row.status !== 'failed') continue;
+    manifest.rows[row.productId] = {
+      hash: rowHashes.get(row.productId),
+      status: row.status,
+      outputs: [
+        row.psdSaved && row.psdPath,
+        ...row.videos.filter(video => video.exported).map(video => video.path),
+        ...row.postOutputs,
+      ].filter(Boolean),
+      videos: row.videos.filter(video => video.exported).map(video => video.path),
+      postOutputs: row.postOutputs,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+  await fs.outputJson(manifestPath, manifest, { spaces: 2 });
+}
+
+// --- Post-processing ---
+// Optional ffmpeg chain (--post-process, JSON or YAML) that runs on every exported video
+// once Photoshop is done. Steps run in the listed order:
+//
+//   steps:
+//     - { type: audio }                                   # mux the row's "audio" file in as the only audio track
+//     - { type: loudnorm, i: -16, tp: -1.5, lra: 11 }      # EBU R128 loudness normalization
+//     - { type: thumbnail, at: 1.5, format: jpg }          # poster frame -> <video>_poster.jpg
+//     - { type: preview, format: gif, duration: 3, width: 480 }  # looping preview -> <video>_preview.gif
+//     - { type: transcode, codec: vp9 }                    # extra codec -> <video>_vp9.webm
+//
+// audio and loudnorm rewrite the video in place, the other steps add files next to it.
+const POST_PROCESS_STEPS = ['audio', 'loudnorm', 'thumbnail', 'preview', 'transcode'];
+const POST_PROCESS_CODECS = {
+  vp9: { extension: 'webm', args: crf => ['-c:v', 'libvpx-vp9', '-crf', String(crf ?? 32), '-b:v', '0', '-c:a', 'libopus'] },
+  hevc: { extension: 'mp4', args: crf => ['-c:v', 'libx265', '-crf', String(crf ?? 28), '-tag:v', 'hvc1', '-c:a', 'aac'] },
+  h264: { extension: 'mp4', args: crf => ['-c:v', 'libx264', '-crf', String(crf ?? 23), '-pix_fmt', 'yuv420p', '-c:a', 'aac'] },
+};
+const AUDIO_COLUMN = 'audio';
+let POST_PROCESS = [];
+
+function loadPostProcess(postProcessPath) {
+  const content = readConfigFile(postProcessPath, 'post-process file');
+
+  const list = Array.isArray(content) ? content : content && content.steps;
+  if (!Array.isArray(list)) {
+    throw new Error(`❌ Post-process file ${postProcessPath} must contain a list of steps`);
+  }
+
+  const errors = [];
+  const steps = list.map((entry, index) => {
+    const step = typeof entry === 'string' ? { type: entry } : { ...entry };
+    const label = `step ${index + 1} (${step.type || 'no type'})`;
+    if (!POST_PROCESS_STEPS.includes(step.type)) {
+      errors.push(`${label}: "type" must be one of ${POST_PROCESS_STEPS.join(', ')}`);
+    }
+    if (step.type === 'thumbnail') {
+      step.format = step.format || 'jpg';
+      if (!['jpg', 'png', 'webp'].includes(step.format)) errors.push(`${label}: format must be jpg, png or webp`);
+      if (step.suffix === undefined) step.suffix = '_poster';
+    }
+    if (step.type === 'preview') {
+      step.format = step.format || 'gif';
+      if (!['gif', 'webp'].includes(step.format)) errors.push(`${label}: format must be gif or webp`);
+      if (step.suffix === undefined) step.suffix = '_preview';
+    }
+    if (step.type === 'transcode') {
+      if (!POST_PROCESS_CODECS[step.codec]) errors.push(`${label}: codec must be one of ${Object.keys(POST_PROCESS_CODECS).join(', ')}`);
+      if (step.suffix === undefined) step.suffix = `_${step.codec}`;
+    }
+    if (step.type === 'audio') {
+      step.column = step.column || AUDIO_COLUMN;
+    }
+    for (const key of ['at', 'start', 'duration', 'fps', 'width', 'crf', 'timeout', 'i', 'tp', 'lra', 'volume']) {
+      if (step[key] !== undefined && !Number.isFinite(Number(step[key]))) errors.push(`${label}: "${key}" must be a number`);
+    }
+    return step;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`❌ Invalid post-process file ${postProcessPath}:\n  ${errors.join('\n  ')}`);
+  }
+  return steps;
+}
+
+// Columns holding per-row audio files (relative to --images)
+function getAudioColumns() {
+  return POST_PROCESS.filter(step => step.type === 'audio').map(step => step.column);
+}
+
+function runFfmpeg(ffmpegArgs, timeoutSeconds) {
+  return new Promise((resolve, reject) => {
+    execFile(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', '-y', ...ffmpegArgs], { timeout: timeoutSeconds * 1000, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        const details = String(stderr || '').trim().split('\n').slice(-3).join(' ');
+        reject(new Error(details || error.message));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+async function checkFfmpeg(feature = '--post-process') {
+  try {
+    await runFfmpeg(['-version'], 30);
+  } catch (err) {
+    throw new Error(`❌ ${feature} needs ffmpeg, but "${FFMPEG_PATH}" could not be run: ${err.message}. Install ffmpeg or pass --ffmpeg <path>`);
+  }
+}
+
+// Path of a file derived from a video, e.g. out/template_prod001_poster.jpg
+function getDerivedPath(videoPath, suffix, extension) {
+  const base = path.join(path.dirname(videoPath), path.basename(videoPath, path.extname(videoPath)));
+  return `${base}${suffix}.${extension}`;
+}
+
+// ffmpeg arguments of one step, plus the file it writes
+function buildFfmpegStep(step, videoPath, row) {
+  const scale = step.width ? `scale=${Number(step.width)}:-2` : null;
+
+  switch (step.type) {
+    case 'audio': {
+      const audioPath = path.resolve(IMAGE_DIR, row[step.column]);
+      const audioFilter = step.volume !== undefined ? ['-af', `volume=${Number(step.volume)}`] : [];
+      return {
+        output: videoPath,
+        inPlace: true,
+        args: ['-i', videoPath, '-i', audioPath, '-map', '0:v:0', '-map', '1:a:0', '-c:v', 'copy', ...audioFilter, '-c:a', 'aac', '-b:a', '192k', '-shortest'],
+      };
+    }
+    case 'loudnorm':
+      return {
+        output: videoPath,
+        inPlace: true,
+        args: ['-i', videoPath, '-c:v', 'copy', '-af', `loudnorm=I=${step.i ?? -16}:TP=${step.tp ?? -1.5}:LRA=${step.lra ?? 11}`, '-c:a', 'aac', '-b:a', '192k'],
+      };
+    case 'thumbnail': {
+      const output = getDerivedPath(videoPath, step.suffix, step.format);
+      return {
+        output,
+        args: ['-ss', String(step.at ?? 0), '-i', videoPath, '-frames:v', '1', ...(scale ? ['-vf', scale] : []), output],
+      };
+    }
+    case 'preview': {
+      const output = getDerivedPath(videoPath, step.suffix, step.format);
+      const filters = [`fps=${step.fps ?? 12}`, step.width ? `scale=${Number(step.width)}:-2:flags=lanczos` : null].filter(Boolean).join(',');
+      const trim = ['-ss', String(step.start ?? 0), '-t', String(step.duration ?? 3)];
+      return {
+        output,
+        args: step.format === 'gif'
+          ? [...trim, '-i', videoPath, '-filter_complex', `${filters},split[a][b];[a]palettegen[p];[b][p]paletteuse`, '-loop', '0', output]
+          : [...trim, '-i', videoPath, '-vf', filters, '-c:v', 'libwebp', '-q:v', '70', '-loop', '0', '-an', output],
+      };
+    }
+    case 'transcode': {
+      const codec = POST_PROCESS_CODECS[step.codec];
+      const output = getDerivedPath(videoPath, step.suffix, codec.extension);
+      return {
+        output,
+        args: ['-i', videoPath, ...(scale ? ['-vf', scale] : []), ...codec.args(step.crf), output],
+      };
+    }
+  }
+  return null;
+}
+
+// Run the chain on every exported video of a report row. Failures are added to the
+// row's errors and mark it as failed; the remaining steps of that video are skipped.
+async function postProcessRow(reportRow, row) {
+  reportRow.postOutputs = [];
+
+  for (const video of reportRow.videos.filter(v => v.exported)) {
+    for (const step of POST_PROCESS) {
+      if (step.type === 'audio' && !row[step.column]) continue;
+
+      const { output, inPlace, args: stepArgs } = buildFfmpegStep(step, video.path, row);
+      const target = inPlace ? getDerivedPath(video.path, '.tmp', path.extname(video.path).slice(1)) : output;
+      if (inPlace) stepArgs.push(target);
+
+      try {
+        await runFfmpeg(stepArgs, step.timeout || 600);
+        if (inPlace) await fs.move(target, output, { overwrite: true });
+        else reportRow.postOutputs.push(output);
+        logger.log(`🎞️ ${reportRow.productId}: ${step.type} ${inPlace ? 'applied to' : '->'} ${output}`);
+      } catch (err) {
+        await fs.remove(target).catch(() => {});
+        reportRow.errors.push(`Post-processing (${step.type}) failed for ${path.basename(video.path)}: ${err.message}`);
+        reportRow.status = 'failed';
+        break;
+      }
+    }
+  }
+}
+
+async function postProcessReport(report, rowsById) {
+  const rows = report.filter(reportRow => reportRow.status === 'ok');
+  if (rows.length === 0) return;
+
+  logger.log(`🎞️ Post-processing ${rows.length} row(s) with ffmpeg (${POST_PROCESS.map(step => step.type).join(' → ')})...`);
+  for (const reportRow of rows) {
+    await postProcessRow(reportRow, rowsById.get(reportRow.productId));
+  }
+}
+
+// --- Output verification ---
+// --verify probes every exported video with ffprobe and compares it with what was asked
+// for: the rendition's width/height and format, plus the rules of an optional spec file
+// (--spec, JSON or YAML), e.g.
+//
+//   specs:
+//     - name: Meta Reels
+//       aspect: "9:16"
+//       maxDuration: 60
+//       codec: h264
+//       audio: true
+//     - { name: Square feed, rendition: square, width: 1080, height: 1080, frameRate: 30 }
+//
+// A spec applies to every rendition unless it names one. Violations fail the row.
+const SPEC_RULES = ['name', 'rendition', 'width', 'height', 'minWidth', 'minHeight', 'aspect', 'minDuration', 'maxDuration',
+  'frameRate', 'codec', 'minBitrate', 'maxBitrate', 'maxFileSize', 'audio'];
+let VERIFY_SPECS = [];
+
+function loadSpecs(specPath) {
+  const content = readConfigFile(specPath, 'spec file');
+
+  const list = Array.isArray(content) ? content : content && (content.specs || [content]);
+  if (!Array.isArray(list) || !list.every(spec => spec && typeof spec === 'object' && !Array.isArray(spec))) {
+    throw new Error(`❌ Spec file ${specPath} must contain a spec object or a list of them`);
+  }
+
+  const errors = [];
+  const specs = list.map((spec, index) => {
+    const label = spec.name || `spec ${index + 1}`;
+    const unknown = Object.keys(spec).filter(key => !SPEC_RULES.includes(key));
+    if (unknown.length > 0) errors.push(`${label}: unknown rule(s) ${unknown.join(', ')} (supported: ${SPEC_RULES.join(', ')})`);
+    if (spec.aspect !== undefined && !parseAspect(spec.aspect)) errors.push(`${label}: aspect must look like "9:16"`);
+    for (const key of ['width', 'height', 'minWidth', 'minHeight', 'minDuration', 'maxDuration', 'frameRate', 'minBitrate', 'maxBitrate', 'maxFileSize']) {
+      if (spec[key] !== undefined && !Number.isFinite(Number(spec[key]))) errors.push(`${label}: "${key}" must be a number`);
+    }
+    return { ...spec, name: label };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`❌ Invalid spec file ${specPath}:\n  ${errors.join('\n  ')}`);
+  }
+  return specs;
+}
+
+function parseAspect(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*[:x/]\s*(\d+(?:\.\d+)?)\s*$/.exec(String(value));
+  return match && Number(match[2]) > 0 ? Number(match[1]) / Number(match[2]) : null;
+}
+
+// "H.264" -> "h264", "H.265" -> "hevc"
+function normalizeCodec(codec) {
+  const name = String(codec).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return { h265: 'hevc', x265: 'hevc', x264: 'h264', avc: 'h264' }[name] || name;
+}
+
+// "30000/1001" -> 29.97
+function parseFrameRate(value) {
+  const [num, den] = String(value || '').split('/').map(Number);
+  if (!num) return null;
+  return den ? num / den : num;
+}
+
+function probeVideo(videoPath) {
+  return new Promise((resolve, reject) => {
+    const probeArgs = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', videoPath];
+    execFile(FFPROBE_PATH, probeArgs, { timeout: 60 * 1000, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(String(stderr || '').trim() || error.message));
+        return;
+      }
+      try {
+        const data = JSON.parse(stdout);
+        const streams = data.streams || [];
+        const video = streams.find(stream => stream.codec_type === 'video') || {};
+        const format = data.format || {};
+        resolve({
+          duration: format.duration !== undefined ? Number(format.duration) : null,
+          width: video.width || null,
+          height: video.height || null,
+          frameRate: parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate),
+          codec: video.codec_name || null,
+          bitrate: format.bit_rate !== undefined ? Math.round(Number(format.bit_rate) / 1000) : null,
+          audio: streams.some(stream => stream.codec_type === 'audio'),
+        });
+      } catch (err) {
+        reject(new Error(`Unreadable ffprobe output: ${err.message}`));
+      }
+    });
+  });
+}
+
+async function checkFfprobe(feature = '--verify') {
+  try {
+    await new Promise((resolve, reject) => {
+      execFile(FFPROBE_PATH, ['-version'], { timeout: 30 * 1000 }, error => (error ? reject(error) : resolve()));
+    });
+  } catch (err) {
+    throw new Error(`❌ ${feature} needs ffprobe, but "${FFPROBE_PATH}" could not be run: ${err.message}. Install ffmpeg or pass --ffprobe <path>`);
+  }
+}
+
+// Rules a video has to satisfy: its rendition first, then every matching spec
+function getExpectations(rendition) {
+  const expectations = [];
+  if (rendition) {
+    const fromRendition = { name: `rendition ${rendition.name}` };
+    if (rendition.width && rendition.height) {
+      fromRendition.width = Number(rendition.width);
+      fromRendition.height = Number(rendition.height);
+    }
+    if (rendition.format === 'H.264') fromRendition.codec = 'h264';
+    expectations.push(fromRendition);
+  }
+  for (const spec of VERIFY_SPECS) {
+    if (!spec.rendition || (rendition && [].concat(spec.rendition).includes(rendition.name))) expectations.push(spec);
+  }
+  return expectations;
+}
+
+function checkExpectation(probe, fileSize, spec) {
+  const violations = [];
+  const fail = message => violations.push(`${spec.name}: ${message}`);
+  const size = `${probe.width}x${probe.height}`;
+
+  if (spec.width !== undefined && probe.width !== Number(spec.width)) fail(`width is ${probe.width}, expected ${spec.width} (${size})`);
+  if (spec.height !== undefined && probe.height !== Number(spec.height)) fail(`height is ${probe.height}, expected ${spec.height} (${size})`);
+  if (spec.minWidth !== undefined && !(probe.width >= Number(spec.minWidth))) fail(`width ${probe.width} is below ${spec.minWidth}`);
+  if (spec.minHeight !== undefined && !(probe.height >= Number(spec.minHeight))) fail(`height ${probe.height} is below ${spec.minHeight}`);
+  if (spec.aspect !== undefined) {
+    const expected = parseAspect(spec.aspect);
+    const actual = probe.height ? probe.width / probe.height : 0;
+    if (Math.abs(actual - expected) / expected > 0.01) fail(`aspect ratio of ${size} is not ${spec.aspect}`);
+  }
+  if (spec.minDuration !== undefined && !(probe.duration >= Number(spec.minDuration))) fail(`duration ${probe.duration}s is shorter than ${spec.minDuration}s`);
+  if (spec.maxDuration !== undefined && !(probe.duration <= Number(spec.maxDuration))) fail(`duration ${probe.duration}s is longer than ${spec.maxDuration}s`);
+  if (spec.frameRate !== undefined && !(Math.abs(probe.frameRate - Number(spec.frameRate)) < 0.01)) {
+    fail(`frame rate is ${probe.frameRate ? probe.frameRate.toFixed(3) : 'unknown'} fps, expected ${spec.frameRate}`);
+  }
+  if (spec.codec !== undefined && normalizeCodec(probe.codec || '') !== normalizeCodec(spec.codec)) fail(`codec is ${probe.codec}, expected ${spec.codec}`);
+  if (spec.minBitrate !== undefined && !(probe.bitrate >= Number(spec.minBitrate))) fail(`bitrate ${probe.bitrate} kbps is below ${spec.minBitrate} kbps`);
+  if (spec.maxBitrate !== undefined && !(probe.bitrate <= Number(spec.maxBitrate))) fail(`bitrate ${probe.bitrate} kbps is above ${spec.maxBitrate} kbps`);
+  if (spec.maxFileSize !== undefined && fileSize > Number(spec.maxFileSize) * 1024 * 1024) {
+    fail(`file is ${(fileSize / 1024 / 1024).toFixed(1)} MB, limit is ${spec.maxFileSize} MB`);
+  }
+  if (spec.audio === true && !probe.audio) fail('has no audio track');
+  if (spec.audio === false && probe.audio) fail('has an audio track');
+  return violations;
+}
+
+// Probe the outputs of a report row. Missing or empty files and spec violations are added
+// to the row's errors and mark it as failed; probe results are kept on each video.
+async function verifyRow(reportRow) {
+  reportRow.violations = [];
+  const violate = message => {
+    reportRow.violations.push(message);
+    reportRow.errors.push(`Verification failed: ${message}`);
+    reportRow.status = 'failed';
+  };
+
+  if (reportRow.psdSaved && reportRow.psdPath && !(fs.existsSync(reportRow.psdPath) && fs.statSync(reportRow.psdPath).size > 0)) {
+    violate(`PSD is missing or empty: ${reportRow.psdPath}`);
+  }
+
+  for (const video of reportRow.videos) {
+    const fileName = path.basename(video.path);
+    if (!fs.existsSync(video.path) || fs.statSync(video.path).size === 0) {
+      violate(`${fileName} is missing or empty`);
+      continue;
+    }
+
+    try {
+      video.probe = await probeVideo(video.path);
+    } catch (err) {
+      violate(`${fileName} could not be probed: ${err.message}`);
+      continue;
+    }
+
+    const rendition = RENDITIONS.find(candidate => candidate.name === video.rendition);
+    const fileSize = fs.statSync(video.path).size;
+    for (const spec of getExpectations(rendition)) {
+      checkExpectation(video.probe, fileSize, spec).forEach(message => violate(`${fileName} ${message}`));
+    }
+  }
+}
+
+async function verifyReport(report) {
+  const rows = report.filter(reportRow => reportRow.status === 'ok');
+  if (rows.length === 0) return;
+
+  logger.log(`🔬 Verifying outputs of ${rows.length} row(s) with ffprobe...`);
+  for (const reportRow of rows) {
+    await verifyRow(reportRow);
+    if (reportRow.violations.length === 0) logger.log(`✅ ${reportRow.productId}: outputs match the expected specs`);
+  }
+}
+
+// --- Video clips ---
+// "video_<layer>" columns (or mapping type "video") replace a video layer or a video Smart
+// Object with a per-row MP4/MOV clip, relative to --images. Clips are probed with ffprobe
+// before Photoshop starts. Per row ("<column>__<option>"), in the mapping options or from
+// the CLI defaults, clips can be prepared with ffmpeg first:
+//
+//   fit    contain, cover or fill: scale the clip to the layer bounds (--video-fit)
+//   trim   yes/no: cut clips that run longer than the timeline (--video-trim)
+//   start  seconds to skip at the start of the clip
+//
+// A clip that is shorter or (untrimmed) longer than the row's timeline is reported as a warning.
+const VIDEO_FIT_MODES = ['contain', 'cover', 'fill'];
+const DURATION_TOLERANCE = 0.05; // Seconds a clip may differ from the timeline, about a frame
+const clipProbes = new Map(); // clip path -> ffprobe result
+
+function isVideoColumn(key) {
+  const column = resolveColumn(key);
+  return !!column && column.type === 'video';
+}
+
+function getVideoOptions(row, column) {
+  const mappedOptions = (COLUMN_MAPPING[column] && COLUMN_MAPPING[column].options) || {};
+  const pick = (option, fallback) => {
+    const value = getCompanionValue(row, column, option) ?? mappedOptions[option];
+    return isBlank(value) ? fallback : value;
+  };
+  return { fit: pick('fit', VIDEO_FIT), trim: pick('trim', VIDEO_TRIM), start: pick('start', 0) };
+}
+
+// Returns an error message for invalid clip options, null when they are fine
+function validateVideoOptions(options) {
+  const errors = [];
+  if (options.fit !== null && !VIDEO_FIT_MODES.includes(String(options.fit).toLowerCase())) {
+    errors.push(`fit "${options.fit}" must be one of ${VIDEO_FIT_MODES.join(', ')}`);
+  }
+  if (typeof options.trim !== 'boolean' && parseYesNo(options.trim) === null) errors.push(`trim "${options.trim}" must be yes or no`);
+  const start = parseSeconds(options.start);
+  if (start === null || start < 0) errors.push(`start "${options.start}" must be a number of seconds`);
+  return errors.length > 0 ? errors.join(', ') : null;
+}
+
+// Probe every clip once. Returns the clips that ffprobe could not read.
+async function probeClips(rows) {
+  const clipPaths = new Set();
+  for (const row of rows) {
+    for (const [key, value] of Object.entries(row)) {
+      const clipPath = isVideoColumn(key) && value && path.resolve(IMAGE_DIR, value);
+      if (clipPath && fs.existsSync(clipPath) && !clipProbes.has(clipPath)) clipPaths.add(clipPath);
+    }
+  }
+  if (clipPaths.size === 0) return [];
+
+  await checkFfprobe('video columns');
+  const unreadable = [];
+  for (const clipPath of clipPaths) {
+    try {
+      const probe = await probeVideo(clipPath);
+      if (!probe.width || !probe.height || !probe.duration) throw new Error('no video stream or duration');
+      clipProbes.set(clipPath, probe);
+      logger.log(`🎞️ ${path.relative(IMAGE_DIR, clipPath)}: ${probe.width}x${probe.height}, ${probe.duration.toFixed(2)}s`);
+    } catch (err) {
+      unreadable.push(`${clipPath}: ${err.message.replace(/\s*\n\s*/g, ' ')}`);
+    }
+  }
+  return unreadable;
+}
+
+// ffmpeg video filter that scales a clip to the layer bounds. Sizes are rounded down to
+// even numbers, which H.264 requires.
+function buildFitFilter(fit, dim) {
+  const width = dim.width - (dim.width % 2);
+  const height = dim.height - (dim.height % 2);
+  if (fit === 'cover') return `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+  if (fit === 'contain') return `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`;
+  return `scale=${width}:${height}`;
+}
+
+// Check a clip against the timeline and trim/scale it when asked to. Returns the clip to
+// place (the original or a copy in temp/videos) and the warnings for the report.
+async function prepareClip(clipPath, outputPath, options, dim, timelineSeconds) {
+  const probe = clipProbes.get(clipPath);
+  const start = parseSeconds(options.start);
+  const trim = typeof options.trim === 'boolean' ? options.trim : parseYesNo(options.trim);
+  const fit = options.fit !== null ? String(options.fit).toLowerCase() : null;
+  const clipSeconds = Math.max(0, probe.duration - start);
+  const warnings = [];
+
+  let cutAt = null;
+  if (timelineSeconds) {
+    if (clipSeconds < timelineSeconds - DURATION_TOLERANCE) {
+      warnings.push(`clip is ${clipSeconds.toFixed(2)}s, shorter than the ${timelineSeconds}s timeline`);
+    } else if (clipSeconds > timelineSeconds + DURATION_TOLERANCE) {
+      if (trim) cutAt = timelineSeconds;
+      else warnings.push(`clip is ${clipSeconds.toFixed(2)}s, longer than the ${timelineSeconds}s timeline`);
+    }
+  } else if (trim) {
+    warnings.push('timeline length unknown, clip was not trimmed');
+  }
+  if (fit && !dim) warnings.push('no layer bounds found, clip was not scaled');
+
+  const scale = fit && dim && (probe.width !== dim.width || probe.height !== dim.height) ? buildFitFilter(fit, dim) : null;
+  if (!scale && cutAt === null && start === 0) return { clipPath, warnings };
+
+  const ffmpegArgs = [
+    ...(start > 0 ? ['-ss', String(start)] : []),
+    '-i', clipPath,
+    ...(cutAt !== null ? ['-t', String(cutAt)] : []),
+    ...(scale ? ['-vf', scale] : []),
+    ...POST_PROCESS_CODECS.h264.args(18),
+    '-movflags', '+faststart',
+    outputPath,
+  ];
+  await fs.ensureDir(path.dirname(outputPath));
+  await runFfmpeg(ffmpegArgs, Math.max(300, Math.ceil(probe.duration) * 10));
+  return { clipPath: outputPath, warnings };
+}
+
+// --- Run report ---
+
+// Read the per-row results written by the generated JSX
+async function readResultsFile(resultsPath) {
+  if (!fs.existsSync(resultsPath)) return [];
+  try {
+    const results = await fs.readJson(resultsPath);
+    return Array.isArray(results) ? results : [];
+  } catch (err) {
+    logger.warn(`⚠️ Could not read results file ${resultsPath}: ${err.message}`);
+    return [];
+  }
+}
+
+// Merge the planned rows with the recorded results. Rows without a result
+// (Photoshop crashed, timed out or never got to them) count as failed.
+function buildReport(plannedRows, results, runErrors = new Map()) {
+  const resultsById = new Map(results.map(result => [result.productId, result]));
+
+  return plannedRows.map(planned => {
+    const result = resultsById.get(planned.productId);
+    const runError = runErrors.get(planned.productId);
+    if (!result) {
+      return {
+        productId: planned.productId,
+        status: 'failed',
+        template: planned.templatePath,
+        outputDir: planned.outputDir,
+        layersReplaced: [],
+        textReplaced: [],
+        layersUpdated: [],
+        psdSaved: false,
+        psdPath: planned.psdPath,
+        videoExported: false,
+        videos: planned.videos.map(video => ({ ...video, exported: false })),
+        postOutputs: [],
+        violations: [],
+        errors: [runError ? `No result recorded: ${runError.message}` : 'No result recorded (script did not reach this row)'],
+        timings: {},
+        durationMs: null,
+        attempts: planned.attempts || 0,
+      };
+    }
+
+    return {
+      productId: planned.productId,
+      status: result.status === 'running' ? 'failed' : result.status,
+      template: planned.templatePath,
+      outputDir: planned.outputDir,
+      layersReplaced: result.layersReplaced || [],
+      textReplaced: result.textReplaced || [],
+      layersUpdated: result.layersUpdated || [],
+      warnings: [...(planned.warnings || []), ...(result.warnings || [])],
+      psdSaved: !!result.psdSaved,
+      psdPath: result.psdPath || planned.psdPath,
+      videoExported: !!result.videoExported,
+      videos: result.videos || planned.videos.map(video => ({ ...video, exported: false })),
+      postOutputs: [],
+      violations: [],
+      errors: result.errors || [],
+      timings: result.timings || {},
+      durationMs: result.durationMs ?? null,
+      attempts: planned.attempts || 0,
+    };
+  });
+}
+
+// Reports go to --report, --out or the deepest folder shared by all outputs
+function getReportDir(plannedRows) {
+  if (REPORT_DIR) return REPORT_DIR;
+  if (BASE_OUT_DIR) return BASE_OUT_DIR;
+
+  const dirs = plannedRows.map(row => path.resolve(row.outputDir));
+  if (dirs.length === 0) return TEMP_DIR;
+
+  let common = dirs[0].split(path.sep);
+  for (const dir of dirs.slice(1)) {
+    const parts = dir.split(path.sep);
+    let i = 0;
+    while (i < common.length && i < parts.length && common[i] === parts[i]) i++;
+    common = common.slice(0, i);
+  }
+  return common.join(path.sep) || path.sep;
+}
+
+function printReportSummary(report) {
+  const formatMs = ms => (ms === null || ms === undefined ? '-' : `${(ms / 1000).toFixed(1)}s`);
+  const statusIcon = { ok: '✅', failed: '❌', 'dry-run': '🧪', skipped: '⏭️' };
+  const header = ['Product', 'Status', 'Layers', 'Text', 'PSD', 'Video', 'Time'];
+  const lines = report.map(row => [
+    String(row.productId),
+    `${statusIcon[row.status] || '•'} ${row.status}`,
+    String(row.layersReplaced.length + row.layersUpdated.length),
+    String(row.textReplaced.length),
+    row.psdSaved ? 'yes' : 'no',
+    `${row.videos.filter(video => video.exported).length}/${row.videos.length}`,
+    formatMs(row.durationMs),
+  ]);
+  const widths = header.map((title, i) => Math.max(title.length, ...lines.map(line => line[i].length)));
+  const format = cells => '   ' + cells.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+
+  logger.log('📊 Summary:');
+  logger.log(format(header));
+  logger.log(format(widths.map(w => '-'.repeat(w))));
+  lines.forEach(line => logger.log(format(line)));
+
+  for (const row of report.filter(r => r.errors.length > 0)) {
+    logger.error(`❌ ${row.productId}:`);
+    row.errors.forEach(error => logger.error(`   - ${error}`));
+  }
+
+  const failed = report.filter(row => row.status === 'failed').length;
+  const skipped = report.filter(row => row.status === 'skipped').length;
+  logger.log(`📊 ${report.length - failed - skipped}/${report.length} rows succeeded, ${skipped} skipped, ${failed} failed`);
+}
+
+async function writeReport(report, reportDir, suffix = '') {
+  await fs.ensureDir(reportDir);
+  const jsonPath = path.join(reportDir, `report${suffix}.json`);
+  const csvPath = path.join(reportDir, `report${suffix}.csv`);
+
+  const failed = report.filter(row => row.status === 'failed').length;
+  const skipped = report.filter(row => row.status === 'skipped').length;
+  await fs.writeJson(jsonPath, {
+    createdAt: new Date().toISOString(),
+    executor: EXECUTOR,
+    total: report.length,
+    succeeded: report.length - failed - skipped,
+    skipped,
+    failed,
+    rows: report,
+  }, { spaces: 2 });
+
+  const csvRows = report.map(row => ({
+    product_id: row.productId,
+    status: row.status,
+    template: row.template,
+    output_dir: row.outputDir,
+    layers_replaced: row.layersReplaced.join('; '),
+    text_replaced: row.textReplaced.join('; '),
+    layers_updated: row.layersUpdated.join('; '),
+    psd_saved: row.psdSaved,
+    psd_path: row.psdPath || '',
+    video_exported: row.videoExported,
+    video_paths: row.videos.map(video => video.path).join('; '),
+    post_outputs: row.postOutputs.join('; '),
+    violations: row.violations.join('; '),
+    warnings: (row.warnings || []).join('; '),
+    duration_ms: row.durationMs ?? '',
+    attempts: row.attempts,
+    skip_reason: row.skipReason || '',
+    errors: row.errors.join('; '),
+  }));
+  await new Promise((resolve, reject) => {
+    writeToPath(csvPath, csvRows, { headers: true })
+      .on('finish', resolve)
+      .on('error', reject);
+  });
+
+  return { jsonPath, csvPath };
+}
+
+// --- Template inspection ---
+
+// JSX that writes a JSON manifest of the whole template: layer tree with paths, kinds,
+// bounds and visibility, text contents and fonts, the contents of Smart Objects
+// (opened read-only, up to three levels deep) and the timeline settings.
+function generateInspectJSX(templatePath, outputPath) {
+  return `#target photoshop
+${JSX_JSON}
+var MAX_SMART_OBJECT_DEPTH = 3;
+
+function px(value) {
+  return value && value.as ? value.as("px") : Number(value);
+}
+
+function layerKind(layer) {
+  if (layer.typename === "LayerSet") return "group";
+  return String(layer.kind).replace("LayerKind.", "").toLowerCase();
+}
+
+function describeBounds(layer) {
+  try {
+    var b = layer.bounds;
+    return { left: px(b[0]), top: px(b[1]), width: px(b[2]) - px(b[0]), height: px(b[3]) - px(b[1]) };
+  } catch (e) {
+    return null;
+  }
+}
+
+function describeText(layer) {
+  var t = layer.textItem;
+  var info = {};
+  try { info.contents = t.contents; } catch (e) {}
+  try { info.font = t.font; } catch (e) {}
+  try { info.size = t.size.as ? t.size.as("pt") : Number(t.size); } catch (e) {}
+  try { info.color = "#" + t.color.rgb.hexValue; } catch (e) {}
+  try { info.justification = String(t.justification).replace("Justification.", "").toLowerCase(); } catch (e) {}
+  try {
+    info.kind = String(t.kind).replace("TextType.", "").toLowerCase();
+    if (t.kind === TextType.PARAGRAPHTEXT) {
+      info.boxWidth = px(t.width);
+      info.boxHeight = px(t.height);
+    }
+  } catch (e) {}
+  return info;
+}
+
+function describeSmartObject(layer, depth) {
+  if (depth >= MAX_SMART_OBJECT_DEPTH) return { truncated: true };
+  var owner = app.activeDocument;
+  try {
+    owner.activeLayer = layer;
+    executeAction(stringIDToTypeID("placedLayerEditContents"), undefined, DialogModes.NO);
+  } catch (e) {
+    return { error: "Could not open Smart Object contents: " + e };
+  }
+
+  var contents = app.activeDocument;
+  var info = {};
+  try {
+    info.document = contents.name;
+    info.width = px(contents.width);
+    info.height = px(contents.height);
+    info.layers = describeLayers(contents, "", depth + 1);
+  } catch (e) {
+    info.error = String(e);
+  }
+  contents.close(SaveOptions.DONOTSAVECHANGES);
+  app.activeDocument = owner;
+  return info;
+}
+
+function describeLayers(container, parentPath, depth) {
+  var list = [];
+  for (var i = 0; i < container.layers.length; i++) {
+    var layer = container.layers[i];
+    var layerPath = parentPath ? parentPath + "/" + layer.name : layer.name;
+    var kind = layerKind(layer);
+    var info = {
+      name: layer.name,
+      path: layerPath,
+      kind: kind,
+      visible: layer.visible,
+      opacity: layer.opacity,
+      bounds: describeBounds(layer)
+    };
+    if (kind === "text") info.text = describeText(layer);
+    if (kind === "group") info.children = describeLayers(layer, layerPath, depth);
+    if (kind === "smartobject") info.smartObject = describeSmartObject(layer, depth);
+    list.push(info);
+  }
+  return list;
+}
+
+function getTimeline() {
+  var timeline = {};
+  try {
+    var rateRef = new ActionReference();
+    rateRef.putProperty(stringIDToTypeID("property"), stringIDToTypeID("frameRate"));
+    rateRef.putClass(stringIDToTypeID("timeline"));
+    timeline.frameRate = executeActionGet(rateRef).getDouble(stringIDToTypeID("frameRate"));
+  } catch (e) {}
+  try {
+    var durationRef = new ActionReference();
+    durationRef.putProperty(stringIDToTypeID("property"), stringIDToTypeID("duration"));
+    durationRef.putClass(stringIDToTypeID("timeline"));
+    var duration = executeActionGet(durationRef).getObjectValue(stringIDToTypeID("duration"));
+    var seconds = duration.getInteger(stringIDToTypeID("seconds"));
+    var frame = duration.getInteger(stringIDToTypeID("frame"));
+    var rate = duration.hasKey(stringIDToTypeID("frameRate")) ? duration.getDouble(stringIDToTypeID("frameRate")) : timeline.frameRate;
+    timeline.durationSeconds = rate ? seconds + frame / rate : seconds;
+    if (rate) timeline.durationFrames = Math.round(seconds * rate) + frame;
+  } catch (e) {}
+  return timeline;
+}
+
+var doc = app.open(new File(${jsxPath(templatePath)}));
+var manifest = {
+  document: doc.name,
+  width: px(doc.width),
+  height: px(doc.height),
+  resolution: doc.resolution,
+  timeline: getTimeline(),
+  layers: describeLayers(doc, "", 0)
+};
+
+var manifestFile = new File(${jsxPath(outputPath)});
+manifestFile.encoding = "UTF-8";
+if (!manifestFile.open("w")) {
+  doc.close(SaveOptions.DONOTSAVECHANGES);
+  throw new Error("Failed to open inspect manifest for writing: " + manifestFile.fsName);
+}
+manifestFile.write(__toJSON(manifest));
+manifestFile.close();
+doc.close(SaveOptions.DONOTSAVECHANGES);
+`;
+}
+
+function containsTextLayer(layers) {
+  return (layers || []).some(layer => layer.kind === 'text' || containsTextLayer(layer.children));
+}
+
+// Derive starter CSV columns from the layer manifest. Layers whose names the naming
+// conventions can't express (e.g. an image Smart Object without "image" in its name)
+// get an entry in the starter mapping.
+// Column name for a layer. Layers named like a reserved column ("duration"), a companion
+// column ("Title__size") or a column the mapping ignores get a name of their own,
+// e.g. "duration_layer", that the starter mapping points at the layer.
+function getStarterColumn(column) {
+  if (resolveColumn(column)) return column;
+  const base = `${column.split(COMPANION_SEPARATOR).join('_')}_layer`;
+  let candidate = base;
+  for (let n = 2; !resolveColumn(candidate); n++) candidate = `${base}${n}`;
+  return candidate;
+}
+
+function buildStarterColumns(layers) {
+  const nameCounts = new Map();
+  const countNames = list => (list || []).forEach(layer => {
+    nameCounts.set(layer.name, (nameCounts.get(layer.name) || 0) + 1);
+    countNames(layer.children);
+  });
+  countNames(layers);
+
+  const columns = [];
+  const mapping = {};
+  const addColumn = (preferred, layer, name, type) => {
+    const column = getStarterColumn(preferred);
+    const resolved = resolveColumn(column);
+    columns.push(column);
+    if (resolved.type !== type || resolved.layer !== name) {
+      mapping[column] = { layer: layer.path, type };
+    }
+  };
+  const visit = list => (list || []).forEach(layer => {
+    // Duplicate layer names are addressed by their full path
+    const name = nameCounts.get(layer.name) > 1 ? layer.path : layer.name;
+
+    if (layer.kind === 'group') {
+      visit(layer.children);
+    } else if (layer.kind === 'smartobject') {
+      const hasText = containsTextLayer(layer.smartObject && layer.smartObject.layers);
+      addColumn(hasText ? `txt_${name}` : name, layer, name, hasText ? 'smart-text' : 'image');
+    } else if (layer.kind === 'text') {
+      addColumn(name, layer, name, 'text');
+    }
+  });
+  visit(layers);
+
+  return { columns: Array.from(new Set(columns)), mapping };
+}
+
+function printLayerTree(layers, depth = 1) {
+  const icons = { group: '📁', smartobject: '🖼️', text: '🔤' };
+  for (const layer of layers || []) {
+    const details = [layer.kind];
+    if (layer.bounds) details.push(`${layer.bounds.width}x${layer.bounds.height}`);
+    if (!layer.visible) details.push('hidden');
+    if (layer.text && layer.text.contents !== undefined) details.push(JSON.stringify(String(layer.text.contents).slice(0, 40)));
+    logger.log(`${'  '.repeat(depth)} ${icons[layer.kind] || '▫️'} ${layer.name} (${details.join(', ')})`);
+    printLayerTree(layer.children, depth + 1);
+    if (layer.smartObject && layer.smartObject.layers) printLayerTree(layer.smartObject.layers, depth + 1);
+  }
+}
+
+function csvHeaderLine(columns) {
+  return columns.map(column => (/[",\r\n]/.test(column) ? `"${column.replace(/"/g, '""')}"` : column)).join(',') + '\n';
+}
+
+
+// Write the layer manifest of TEMPLATE_PATH and, when asked, a starter CSV. Resolves with the manifest.
+async function runInspect() {
+  if (!fs.existsSync(TEMPLATE_PATH)) throw new Error("❌ Template PSD not found: " + TEMPLATE_PATH);
+  if (EXECUTOR && !EXECUTORS[EXECUTOR]) throw new Error(`❌ Invalid --executor "${EXECUTOR}". Supported values: ${Object.keys(EXECUTORS).join(', ')}`);
+  if (DRY_RUN_FIXTURE && !fs.existsSync(DRY_RUN_FIXTURE)) throw new Error("❌ Dry-run fixture not found: " + DRY_RUN_FIXTURE);
+  if (MAPPING_PATH) COLUMN_MAPPING = loadColumnMapping(MAPPING_PATH);
+
+  const templateName = path.basename(TEMPLATE_PATH, path.extname(TEMPLATE_PATH));
+  const rawManifestPath = path.join(TEMP_DIR, `${templateName}_inspect.json`);
+  const scriptPath = path.join(TEMP_DIR, 'inspectTemplate_temp.jsx');
+
+  logger.log(`🔍 Inspecting template ${TEMPLATE_PATH}...`);
+  await fs.remove(rawManifestPath);
+  await fs.writeFile(scriptPath, generateInspectJSX(TEMPLATE_PATH, rawManifestPath));
+  await executePhotoshopScript(scriptPath, SCRIPT_TIMEOUT, { kind: 'inspect', templatePath: TEMPLATE_PATH, outputPath: rawManifestPath });
+  await fs.remove(scriptPath);
+
+  if (!fs.existsSync(rawManifestPath)) throw new Error(`❌ Photoshop did not write the layer manifest: ${rawManifestPath}`);
+  const manifest = { template: TEMPLATE_PATH, inspectedAt: new Date().toISOString(), ...(await fs.readJson(rawManifestPath)) };
+
+  const jsonPath = INSPECT_JSON_PATH || path.resolve(`${templateName}.layers.json`);
+  await fs.outputJson(jsonPath, manifest, { spaces: 2 });
+
+  const timeline = manifest.timeline || {};
+  const timing = timeline.durationSeconds ? `, ${timeline.durationSeconds}s @ ${timeline.frameRate}fps` : '';
+  logger.log(`🧱 Layers of ${manifest.document} (${manifest.width || '?'}x${manifest.height || '?'}${timing}):`);
+  printLayerTree(manifest.layers);
+  logger.log(`📄 Layer manifest saved to: ${jsonPath}`);
+
+  if (STARTER_CSV_PATH) {
+    const { columns, mapping } = buildStarterColumns(manifest.layers);
+    await fs.outputFile(STARTER_CSV_PATH, csvHeaderLine(['id', 'product_id', 'output', ...columns]));
+    logger.log(`📄 Starter CSV saved to: ${STARTER_CSV_PATH}`);
+
+    if (Object.keys(mapping).length > 0) {
+      const mappingPath = STARTER_MAPPING_PATH || STARTER_CSV_PATH.replace(/\.csv$/i, '') + '.mapping.json';
+      await fs.outputJson(mappingPath, { columns: mapping }, { spaces: 2 });
+      logger.log(`🗺️ ${Object.keys(mapping).length} column(s) need a mapping, saved to: ${mappingPath} (use --mapping)`);
+    }
+  }
+  return manifest;
+}
+
+// --- Batch runs ---
+// One run renders a set of rows, read from --csv or passed in code. Progress is reported
+// through the emitter: read, validated, resized, scriptGenerated and, per finished row,
+// rowExported, rowFailed or rowSkipped with its report row.
+
+const ROW_EVENTS = { ok: 'rowExported', 'dry-run': 'rowExported', failed: 'rowFailed', skipped: 'rowSkipped' };
+
+function emitRowEvents(emitter, report) {
+  report.forEach(row => emitter.emit(ROW_EVENTS[row.status], row));
+}
+
+// An aborted signal stops the run before the next row or chunk; a running chunk is not interrupted
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) throw new Error('❌ Run cancelled');
+}
+
+// Resolves with the report rows; rows are only reported when the scripts are run
+async function runBatch(emitter, inputRows = null, signal = null) {
+  logger.log(`⚙️ Configuration:`);
+  if (CONFIG_PATH) logger.log(`   Config File: ${CONFIG_PATH}${PROFILE ? ` (profile ${PROFILE})` : ''}`);
+  logger.log(`   Data Path: ${inputRows ? `${inputRows.length} row(s) passed in code` : `${DATA_PATH} (${detectInputFormat(DATA_PATH)})`}`);
+  logger.log(`   Template Path: ${TEMPLATE_PATH || 'From CSV template column'}`);
+  logger.log(`   Templates Directory: ${TEMPLATES_DIR}`);
+  logger.log(`   Images Directory: ${IMAGE_DIR}`);
+  logger.log(`   Script Timeout: ${SCRIPT_TIMEOUT} seconds`);
+  logger.log(`   Photoshop App: ${PS_APP_NAME}`);
+  logger.log(`   Executor: ${EXECUTOR || 'none available on ' + os.platform()}`);
+  logger.log(`   Output Directory: ${BASE_OUT_DIR || 'From CSV output column'}`);
+  logger.log(`   Column Mapping: ${MAPPING_PATH || 'Naming conventions'}`);
+  // Check mandatory args
+
+  if (!inputRows && !fs.existsSync(DATA_PATH)) throw new Error("❌ Data file not found: " + DATA_PATH);
+  if (CSV_QUOTE.length !== 1 || (CSV_DELIMITER !== null && String(CSV_DELIMITER).length !== 1)) throw new Error('❌ --delimiter and --quote must be single characters');
+  if (TEMPLATE_PATH && !fs.existsSync(TEMPLATE_PATH)) throw new Error("❌ Template PSD not found: " + TEMPLATE_PATH);
+  if (!(fs.existsSync(TEMPLATES_DIR) && fs.lstatSync(TEMPLATES_DIR).isDirectory())) throw new Error("❌ Templates directory not found: " + TEMPLATES_DIR);
+  if (!(fs.existsSync(IMAGE_DIR) && fs.lstatSync(IMAGE_DIR).isDirectory())) throw new Error("❌ Images directory not found: " + IMAGE_DIR);
+  if (RENDITIONS_PATH) {
+    if (!fs.existsSync(RENDITIONS_PATH)) throw new Error("❌ Renditions file not found: " + RENDITIONS_PATH);
+    RENDITIONS = loadRenditions(RENDITIONS_PATH);
+  }
+  logger.log(`🎬 Renditions: ${RENDITIONS.map(rendition => rendition.name).join(', ')}`);
+  if (POST_PROCESS_PATH) {
+    if (!fs.existsSync(POST_PROCESS_PATH)) throw new Error("❌ Post-process file not found: " + POST_PROCESS_PATH);
+    POST_PROCESS = loadPostProcess(POST_PROCESS_PATH);
+    logger.log(`🎞️ Post-processing: ${POST_PROCESS.map(step => step.type).join(' → ') || 'no steps'}`);
+    if (POST_PROCESS.length > 0 && EXECUTOR !== 'dry-run') await checkFfmpeg();
+  }
+  if (SPEC_PATH) {
+    if (!fs.existsSync(SPEC_PATH)) throw new Error("❌ Spec file not found: " + SPEC_PATH);
+    VERIFY_SPECS = loadSpecs(SPEC_PATH);
+    logger.log(`🔬 Output specs: ${VERIFY_SPECS.map(spec => spec.name).join(', ')}`);
+  }
+  if (VERIFY_OUTPUTS && EXECUTOR !== 'dry-run') await checkFfprobe();
+  if (EXECUTOR && !EXECUTORS[EXECUTOR]) throw new Error(`❌ Invalid --executor "${EXECUTOR}". Supported values: ${Object.keys(EXECUTORS).join(', ')}`);
+  if (EXECUTOR === 'command' && !EXECUTOR_COMMAND) throw new Error('❌ --executor command requires --executor-command "<program>"');
+  if (DRY_RUN_FIXTURE && !fs.existsSync(DRY_RUN_FIXTURE)) throw new Error("❌ Dry-run fixture not found: " + DRY_RUN_FIXTURE);
+  if (RULES_PATH) {
+    if (!fs.existsSync(RULES_PATH)) throw new Error("❌ Rules file not found: " + RULES_PATH);
+    DATA_RULES = loadRules(RULES_PATH);
+    logger.log(`📋 Loaded data rules for ${Object.keys(DATA_RULES).length} column(s) from ${RULES_PATH}`);
+  }
+  if (MAPPING_PATH) {
+    if (!fs.existsSync(MAPPING_PATH)) throw new Error("❌ Mapping file not found: " + MAPPING_PATH);
+    COLUMN_MAPPING = loadColumnMapping(MAPPING_PATH);
+    logger.log(`🗺️ Loaded mapping for ${Object.keys(COLUMN_MAPPING).length} column(s) from ${MAPPING_PATH}`);
+  }
+
+  // Ensure temp directory exists
+  await fs.ensureDir(TEMP_DIR);
+  await fs.ensureDir(RESIZED_IMAGE_DIR);
+
+  const dataRows = inputRows || await readRows(DATA_PATH);
+  // Copies, as the pipeline later points image cells at the resized files
+  emitter.emit('read', { rows: dataRows.map(row => ({ ...row })) });
+  const { selected: csvRows, filtered: filteredRows } = selectRows(dataRows);
+
+  logger.log(`📁 Temp directory: ${TEMP_DIR}`);
+  logger.log(`📂 Resized images will be stored in: ${RESIZED_IMAGE_DIR}`);
+
+  // Check the data rules: rows with errors are not rendered, --strict aborts instead
+  let ruleFindings = new Map();
+  let validRows = csvRows;
+  let invalidRows = [];
+  if (RULES_PATH) {
+    ruleFindings = await validateRules(csvRows);
+    printRuleFindings(ruleFindings);
+    const ruleErrors = row => (ruleFindings.get(row) || { errors: [] }).errors;
+    invalidRows = csvRows.filter(row => ruleErrors(row).length > 0).map(row => invalidReportRow(row, ruleFindings.get(row)));
+    if (invalidRows.length > 0 && STRICT) {
+      throw new ValidationError(
+        `Aborting: ${invalidRows.length} row(s) break the data rules (--strict). Fix them or drop --strict to render the other rows`,
+        csvRows.filter(row => ruleErrors(row).length > 0).flatMap(row => ruleErrors(row).map(message => `${ruleFindings.get(row).label}: ${message}`)),
+      );
+    }
+    validRows = csvRows.filter(row => ruleErrors(row).length === 0);
+  }
+
+  // NEW: Validate all paths before proceeding
+  const pathErrors = validRows.length === 0 ? [] : await validateAllPaths(validRows);
+  if (pathErrors.length > 0) {
+    throw new ValidationError('Aborting due to path validation errors', pathErrors);
+  }
+
+  // Skip rows whose outputs are still up to date according to the manifest
+  const reportDir = getReportDir(dataRows.map(row => ({ outputDir: getRowOutputDir(row) })));
+  // Shards usually write to the same output folder, so the default report and manifest names include the shard
+  const shard = ROW_SHARD && !REPORT_DIR ? parseShard(ROW_SHARD) : null;
+  const reportSuffix = shard ? `.${shard.index}-of-${shard.count}` : '';
+  const manifestPath = MANIFEST_PATH || path.join(reportDir, `manifest${reportSuffix}.json`);
+  const manifest = await loadManifest(manifestPath);
+  const { rowsToRender: rows, skippedRows, rowHashes } = await selectRowsToRender(validRows, manifest);
+  const notRendered = [...skippedRows, ...invalidRows, ...filteredRows];
+
+  if (rows.length === 0) {
+    logger.log(invalidRows.length > 0
+      ? '⚠️ Nothing to render: every row was skipped or breaks the data rules'
+      : csvRows.length === 0
+        ? '⚠️ Nothing to render: no row matches the row selection'
+        : '✅ Nothing to render, all rows were skipped (use --force to render them anyway)');
+    attachRuleWarnings(notRendered, ruleFindings);
+    emitter.emit('validated', { rows: [], skipped: notRendered.map(row => row.productId), templates: [] });
+    emitRowEvents(emitter, notRendered);
+    printReportSummary(notRendered);
+    const { jsonPath } = await writeReport(notRendered, reportDir, reportSuffix);
+    logger.log(`📄 Report saved to: ${jsonPath}`);
+    return notRendered;
+  }
+
+  // Step 1: Extract bounds ONCE per template and validate ALL required layers
+  throwIfCancelled(signal);
+  const templateGroups = groupRowsByTemplate(rows);
+  const templateByPath = new Map(templateGroups.map(group => [group.templatePath, group]));
+  const layerErrors = [];
+
+  for (const group of templateGroups) {
+    logger.log(`🔍 Analyzing template ${group.templatePath} and validating required layers...`);
+    const requiredLayers = getRequiredLayersFromData(group.rows);
+    logger.log(`📋 Required layers: ${requiredLayers.join(', ')}`);
+
+    group.boundsOutPath = path.join(TEMP_DIR, `${group.key}_bounds.txt`);
+    group.validationOutPath = path.join(TEMP_DIR, `${group.key}_bounds_validation.txt`);
+
+    await extractBoundsAndValidate(group.templatePath, group.boundsOutPath, requiredLayers, getImageLayersFromData(group.rows));
+
+    // Validate that all required layers were found
+    const layerError = validateLayersFromFile(group.validationOutPath);
+    if (layerError) {
+      layerErrors.push(`${group.templatePath}: ${layerError}`);
+      continue;
+    }
+
+    // Parse bounds once per template
+    group.bounds = parseBoundsFile(group.boundsOutPath);
+    group.timelineSeconds = readTimelineFile(getTimelinePath(group.boundsOutPath));
+    logger.log(`📐 Found bounds for layers: ${Object.keys(group.bounds).join(', ')}`);
+  }
+  if (layerErrors.length > 0) throw new ValidationError('Required layers are missing from the template(s)', layerErrors);
+  emitter.emit('validated', {
+    rows: rows.map(row => row["product_id"]),
+    skipped: notRendered.map(row => row.productId),
+    templates: templateGroups.map(group => group.templatePath),
+  });
+
+  // Step 2: Process each row - copy template and resize images
+  const scriptParts = [];
+  const plannedRows = [];
+
+  for (const row of rows) {
+    throwIfCancelled(signal);
+    const productId = row["product_id"];
+    const template = templateByPath.get(getRowTemplatePath(row));
+    const bounds = template.bounds;
+
+    // Determine output directory for this record
+    const outputDir = getRowOutputDir(row);
+    if (!outputDir) {
+      throw new Error(`❌ No output directory specified for product ${productId}. Either provide --out parameter or include 'output' column in CSV.`);
+    }
+
+    // Ensure output directory exists
+    await fs.ensureDir(outputDir);
+
+    // Every template gets its own temp folder so that its Links folder sits next to its copies
+    const templateTempDir = path.join(TEMP_DIR, 'templates', template.key);
+    const newTemplateName = `${template.name}_${productId}.psd`;
+    const newTemplatePath = path.join(templateTempDir, newTemplateName);
+
+    logger.log(`📄 Processing product ${productId} (${template.name}) -> Output: ${outputDir}`);
+    await fs.copy(template.templatePath, newTemplatePath);
+    // Check if Links folder exists next to the template and copy it
+    const templateDir = path.dirname(template.templatePath);
+    const linksSourceDir = path.join(templateDir, 'Links');
+    const linksDestDir = path.join(templateTempDir, 'Links');
+
+    if (fs.existsSync(linksSourceDir) && fs.lstatSync(linksSourceDir).isDirectory()) {
+      try {
+        // Only copy if destination doesn't exist yet (avoid copying multiple times)
+        if (!fs.existsSync(linksDestDir)) {
+          logger.log(`🔗 Found Links folder for ${template.name}, copying to temp directory...`);
+          await fs.copy(linksSourceDir, linksDestDir);
+          logger.log(`✅ Links folder copied successfully`);
+        }
+      } catch (error) {
+        logger.warn(`⚠️ Warning: Failed to copy Links folder: ${error.message}`);
+      }
+    } else if (!template.noLinksLogged) {
+      template.noLinksLogged = true;
+      logger.log(`ℹ️ No Links folder found next to ${template.name} (this is normal if template has no linked assets)`);
+    }
+    row._templatePath = newTemplatePath;
+
+    // Output names are rendered from the original cells, before image columns point at resized copies
+    const outputs = getOutputPaths(row, template.name, outputDir, RENDITIONS, EXPORT_MP4_ONLY);
+
+    // Resize images using shared bounds
+    for (const [key, value] of Object.entries(row)) {
+      if (isImageColumn(key) && value) {
+        const originalImage = resolveImagePath(value);
+        const resizedImage = path.join(RESIZED_IMAGE_DIR, `${productId}_${key}.png`);
+        const dim = bounds[resolveColumn(key).layer];
+
+        if (dim && fs.existsSync(originalImage)) {
+          const fitOptions = getImageFitOptions(row, key);
+          logger.log(`📐 Resizing ${key} to ${dim.width}x${dim.height} (${fitOptions.fit}${fitOptions.fit === 'cover' ? `, focus ${fitOptions.focus}` : ''})`);
+          await resizeImageToFit(originalImage, resizedImage, dim, fitOptions);
+          emitter.emit('resized', { productId, column: key, path: resizedImage, width: dim.width, height: dim.height });
+          row[key] = path.relative(IMAGE_DIR, resizedImage).replace(/\\/g, '/');
+        } else {
+          if (!dim) {
+            logger.warn(`⚠️ No bounds found for ${key} (layer ${resolveColumn(key).layer}). Available bounds: ${Object.keys(bounds).join(', ')}`);
+          }
+          if (!fs.existsSync(originalImage)) {
+            logger.warn(`⚠️ Original image not found: ${originalImage}`);
+          }
+        }
+      }
+    }
+
+    // Check video clips against the row's timeline, trimming and scaling them when asked to
+    const warnings = [];
+    for (const [key, value] of Object.entries(row)) {
+      if (isVideoColumn(key) && value) {
+        const timeline = getTimelineOptions(row);
+        const timelineSeconds = timeline.workOut !== null || timeline.duration !== null
+          ? parseSeconds(timeline.workOut ?? timeline.duration) - (timeline.workIn !== null ? parseSeconds(timeline.workIn) : 0)
+          : template.timelineSeconds;
+        const preparedPath = path.join(PREPARED_VIDEO_DIR, `${productId}_${key}.mp4`);
+        const clip = await prepareClip(path.resolve(IMAGE_DIR, value), preparedPath, getVideoOptions(row, key), bounds[resolveColumn(key).layer], timelineSeconds);
+        if (clip.clipPath === preparedPath) logger.log(`🎞️ Prepared ${key} for ${productId}: ${preparedPath}`);
+        clip.warnings.forEach(warning => {
+          logger.warn(`⚠️ ${productId}, ${key}: ${warning}`);
+          warnings.push(`${key}: ${warning}`);
+        });
+        row[key] = path.relative(IMAGE_DIR, clip.clipPath).replace(/\\/g, '/');
+      }
+    }
+
+    // Generate JSX for this record with its output directory
+    scriptParts.push({ script: generateJSX(row, outputs, RENDITIONS), row, outputs });
+    plannedRows.push({
+      productId,
+      templatePath: template.templatePath,
+      outputDir,
+      warnings,
+      ...outputs,
+    });
+  }
+
+  // Step 3: Generate JSX scripts in temp directory, one per chunk
+  logger.log("📝 Generating JSX script...");
+  const chunks = splitIntoChunks(plannedRows.map((planned, i) => ({ planned, ...scriptParts[i] })), CHUNK_SIZE);
+  for (const chunk of chunks) {
+    await writeChunkScript(chunk, chunk.items);
+    logger.log(`✅ Script written to: ${chunk.scriptPath}`);
+    emitter.emit('scriptGenerated', { chunk: chunk.index, scriptPath: chunk.scriptPath, rows: chunk.items.map(item => item.planned.productId) });
+  }
+  logger.log(`📂 Temporary files location: ${TEMP_DIR}`);
+
+  // Step 4: Optionally run the scripts
+  let report = [];
+  if (RUN_SCRIPT) {
+    const rowsById = new Map(rows.map(row => [row["product_id"], row]));
+    const rendered = [];
+    for (const chunk of chunks) {
+      throwIfCancelled(signal);
+      const { results, runErrors } = await runChunk(chunk, chunks.length);
+
+      // Step 5: Read back the chunk's per-row results and post-process its videos
+      const chunkReport = buildReport(chunk.items.map(item => item.planned), results, runErrors);
+      if (POST_PROCESS.length > 0) await postProcessReport(chunkReport, rowsById);
+      if (VERIFY_OUTPUTS) await verifyReport(chunkReport);
+      attachRuleWarnings(chunkReport, ruleFindings);
+      emitRowEvents(emitter, chunkReport);
+      rendered.push(...chunkReport);
+    }
+    if (EXECUTOR === 'dry-run') {
+      logger.log(`🧪 Dry run plan written to: ${path.join(DRY_RUN_DIR, 'plan.json')}`);
+    }
+
+    attachRuleWarnings(notRendered, ruleFindings);
+    emitRowEvents(emitter, notRendered);
+    report = [...rendered, ...notRendered];
+    printReportSummary(report);
+    const { jsonPath, csvPath } = await writeReport(report, reportDir, reportSuffix);
+    logger.log(`📄 Report saved to: ${jsonPath}`);
+    logger.log(`📄 Report saved to: ${csvPath}`);
+    await updateManifest(manifestPath, manifest, report, rowHashes);
+    logger.log(`📄 Manifest saved to: ${manifestPath}`);
+  } else {
+    logger.log(`📌 To run the script, use --run flag or open Photoshop > File > Scripts > Browse... and select ${chunks.map(chunk => chunk.scriptPath).join(', ')}`);
+  }
+
+  // Cleanup info
+  for (const group of templateGroups) {
+    logger.log(`📄 Bounds file saved to: ${group.boundsOutPath}`);
+    logger.log(`📄 Validation file saved to: ${group.validationOutPath}`);
+  }
+  logger.log(`📁 Resized images saved to: ${RESIZED_IMAGE_DIR}`);
+  logger.log(`🗂️ To clean up temporary files, delete: ${TEMP_DIR}`);
+  return report;
+}
+
+// Logger of Node API runs that don't pass one: the same information is sent as events
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+function checkLogger(value) {
+  if (!value || !['log', 'warn', 'error'].every(method => typeof value[method] === 'function')) {
+    throw new Error('❌ "logger" must have log, warn and error methods, e.g. console');
+  }
+  return value;
+}
+
+// Runs share the temp folder and Photoshop, so they are queued and run one at a time
+let runQueue = Promise.resolve();
+
+function enqueue(task) {
+  const run = runQueue.then(task);
+  runQueue = run.catch(() => {});
+  return run;
+}
+
+// Promise of the task's result that also accepts on/once/off listeners for its events
+function withEvents(emitter, promise) {
+  return Object.assign(promise, {
+    on(event, listener) { emitter.on(event, listener); return this; },
+    once(event, listener) { emitter.once(event, listener); return this; },
+    off(event, listener) { emitter.off(event, listener); return this; },
+  });
+}
+
+// Render a batch from code, e.g. renderBatch({ rows, template, images, renditions, executor }).
+// Takes the CLI options by name or in camelCase; "rows" is an array of row objects used instead
+// of --csv, "renditions" a renditions file or an array of renditions, "signal" an AbortSignal
+// that cancels the run and "logger" an object like console that gets the progress messages.
+// Resolves with the report rows and throws when the batch can't be started.
+function renderBatch(input = {}) {
+  const emitter = new EventEmitter();
+  const { rows, renditions, signal, logger: runLogger = SILENT_LOGGER, ...values } = input;
+  return withEvents(emitter, enqueue(async () => {
+    throwIfCancelled(signal);
+    if (rows !== undefined && !(Array.isArray(rows) && rows.every(row => row && typeof row === 'object'))) {
+      throw new Error('❌ "rows" must be an array of row objects');
+    }
+    const settings = resolveOptions(Array.isArray(renditions) ? values : { ...values, renditions });
+    configure(settings, checkLogger(runLogger));
+    if (!rows && !DATA_PATH) throw new Error('❌ Missing required option: "rows" or "csv"');
+    if (!TEMPLATE_PATH && !settings.options.templates) throw new Error('❌ Missing required option: "template" or "templates"');
+    if (Array.isArray(renditions)) RENDITIONS = normalizeRenditions(renditions, 'passed to renderBatch');
+    return runBatch(emitter, rows ? rows.map(normalizeRow) : null, signal);
+  }));
+}
+
+// Inspect a template from code, e.g. inspectTemplate({ template, json, starterCsv }).
+// Resolves with the layer manifest; "logger" works as for renderBatch.
+function inspectTemplate(input = {}) {
+  const { logger: runLogger = SILENT_LOGGER, ...values } = input;
+  return enqueue(async () => {
+    configure(resolveOptions(values), checkLogger(runLogger));
+    if (!TEMPLATE_PATH) throw new Error('❌ Missing required option: "template"');
+    return runInspect();
+  });
+}
+
+// Run a batch with the options parsed from the command line
+function renderFromCli(settings) {
+  const emitter = new EventEmitter();
+  return withEvents(emitter, enqueue(async () => {
+    configure(settings);
+    return runBatch(emitter);
+  }));
+}
+
+// Inspect the template given on the command line
+function inspectFromCli(settings) {
+  return enqueue(async () => {
+    configure(settings);
+    return runInspect();
+  });
+}
+
+module.exports = {
+  renderBatch,
+  inspectTemplate,
+  renderFromCli,
+  inspectFromCli,
+};
@@ -0,0 +1,489 @@
+// Option schema, parsing and help text shared by the CLI and the Node API
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const minimist = require('minimist');
+
+// --- Options ---
+// Every option is declared once in OPTION_SCHEMA. The schema drives parsing and type
+// checks, defaults, the --help text, typo suggestions and the keys allowed in config files.
+//
+//   type     string, path (resolved against the current directory, or the config file's
+//            folder), number, integer or boolean (true/false, yes/no, 1/0, --no-<flag>)
+//   min      smallest accepted number
+//   choices  accepted string values
+//   hints    common misspellings and synonyms that get a "Did you mean" suggestion
+//
+// Values are merged in this order, later ones win: schema default, the config file's
+// "options", the selected profile, CLI flags.
+const OPTION_GROUPS = ['Input', 'Data', 'Selection', 'Output', 'Video', 'Timeline', 'Images', 'Video clips', 'Text',
+  'Post-processing', 'Resume', 'System', 'Config', 'Inspect', 'Server', 'Watch'];
+
+const OPTION_SCHEMA = [
+  // Input
+  { name: 'csv', aliases: ['data'], type: 'path', group: 'Input', value: '<path>', hints: ['csvfile', 'input'],
+    description: 'Path to the input rows: CSV, TSV, JSON, NDJSON or XLSX (alias: --data)' },
+  { name: 'template', type: 'path', group: 'Input', value: '<path>', hints: ['tempate', 'tmplate', 'templat'],
+    description: "Path to PSD template (default for rows without a 'template' column value)" },
+  { name: 'templates', type: 'path', group: 'Input', value: '<folder>', hints: ['tempates', 'template-dir'],
+    description: "Folder that 'template' column values are resolved against (default: current directory)" },
+  { name: 'images', type: 'path', group: 'Input', value: '<folder>', hints: ['image', 'img'],
+    description: 'Path to folder with image assets (image cells may also be http(s):// or file:// URLs)' },
+
+  // Data
+  { name: 'input-format', type: 'string', group: 'Data', value: '<string>', choices: ['csv', 'tsv', 'json', 'ndjson', 'xlsx'], hints: ['format-input'],
+    description: 'csv, tsv, json, ndjson or xlsx (default: detected from the file extension)' },
+  { name: 'delimiter', type: 'string', group: 'Data', value: '<char>', hints: ['separator', 'sep'],
+    description: 'CSV field delimiter (default: "," for CSV, tab for TSV)' },
+  { name: 'quote', type: 'string', group: 'Data', value: '<char>', default: '"',
+    description: 'CSV quote character (default: ")' },
+  { name: 'encoding', type: 'string', group: 'Data', value: '<string>', default: 'utf-8', hints: ['charset'],
+    description: 'Text encoding of CSV/TSV/JSON files, e.g. utf-16le or windows-1252 (default: utf-8)' },
+  { name: 'sheet', type: 'string', group: 'Data', value: '<name|number>', hints: ['worksheet'],
+    description: 'XLSX sheet to read (default: the first sheet)' },
+  { name: 'rules', type: 'path', group: 'Data', value: '<path>', hints: ['rule', 'schema'],
+    description: ['JSON or YAML per-column checks run before Photoshop starts: required, maxLength,',
+      'minLength, regex, allowed, unique, minWidth, minHeight, aspect (+ aspectTolerance)'] },
+  { name: 'strict', type: 'boolean', group: 'Data', default: false,
+    description: 'Abort when any row breaks the data rules (default: only those rows are skipped)' },
+
+  // Selection
+  { name: 'ids', type: 'string', group: 'Selection', value: '<list>', hints: ['id', 'product-ids', 'products'],
+    description: 'Only render these product_ids, e.g. prod001,prod007' },
+  { name: 'rows', aliases: ['row-range'], type: 'string', group: 'Selection', value: '<range>', hints: ['row', 'range', 'lines'],
+    description: 'Only render these data rows, 1 = the first row after the header, e.g. 10-50 or 1-5,9' },
+  { name: 'where', type: 'string', group: 'Selection', value: '<condition>', hints: ['filter', 'if'],
+    description: ['Only render rows whose cells match, e.g. locale=de, locale!=de, locale=de|at;',
+      'separate several conditions with commas, all must match'] },
+  { name: 'shard', type: 'string', group: 'Selection', value: '<i/n>', hints: ['shards', 'split', 'part'],
+    description: 'Only render shard i of n, a stable subset by product_id, e.g. 2/3' },
+
+  // Output
+  { name: 'out', type: 'path', group: 'Output', value: '<folder>', hints: ['ouput', 'output'],
+    description: "Output directory override (default: uses 'output' column from CSV)" },
+  { name: 'name', type: 'string', group: 'Output', value: '<pattern>', default: '{template}_{product_id}', hints: ['naming', 'filename', 'pattern'],
+    description: ['Output file name without extension (default: "{template}_{product_id}")',
+      'Tokens: {<csv column>}, {template}, {rendition}, {width}, {height}, {format},',
+      '{date} or {date:YYYYMMDD}; filters: {title|slug}, |lower, |upper'] },
+  { name: 'psd-name', type: 'string', group: 'Output', value: '<pattern>',
+    description: 'File name pattern of the saved PSD (default: --name)' },
+  { name: 'export', type: 'boolean', group: 'Output', default: false, hints: ['expot', 'expo'],
+    description: 'Only export MP4 files, skip PSDs (default: false)' },
+  { name: 'mapping', type: 'path', group: 'Output', value: '<path>', hints: ['map', 'mappings'],
+    description: ['JSON or YAML file mapping columns to layers (name or "Group/Layer" path),',
+      'operation types and options; unmapped columns use the naming conventions'] },
+  { name: 'report', type: 'path', group: 'Output', value: '<folder>',
+    description: ['Where report.json and report.csv are written',
+      '(default: --out, or the common parent of all output folders)'] },
+
+  // Video
+  { name: 'renditions', type: 'path', group: 'Video', value: '<path>', hints: ['rendition'],
+    description: ['JSON or YAML list of renditions (name, preset, size or width/height, format,',
+      'aspect, suffix); every row is exported in all of them'] },
+  { name: 'width', type: 'integer', group: 'Video', value: '<number>', min: 1, hints: ['widht'],
+    description: 'Video width override' },
+  { name: 'height', type: 'integer', group: 'Video', value: '<number>', min: 1, hints: ['heigh'],
+    description: 'Video height override' },
+  { name: 'size', type: 'string', group: 'Video', value: '<string>', default: 'document',
+    description: ['Video size (default: "document")', 'Examples: "HDVHDTV1080p", "HDVHDTV720p"'] },
+  { name: 'preset', type: 'string', group: 'Video', value: '<string>', default: '1_High Quality.epr',
+    description: ['Video render preset (default: "1_High Quality.epr") has to match format',
+      'check system Adobe Media Encoder folder for available presets',
+      'Examples: "2_Medium Quality.epr", "YouTube HD 1080p 29.97.epr"'] },
+  { name: 'format', type: 'string', group: 'Video', value: '<string>', default: 'H.264', choices: ['H.264', 'QuickTime'],
+    description: 'Video format: H.264 or QuickTime (default: H.264)' },
+  { name: 'aspect', type: 'string', group: 'Video', value: '<string>', default: 'document',
+    description: ['Video Aspect / Resolution (default: document)', 'check system Media Encoder for available aspects',
+      'Examples: "square", "hdAnamorphic", "palWide"'] },
+  { name: 'use-preset-frame-rate', type: 'boolean', group: 'Video', default: true,
+    description: 'Use preset frame rate (default: true, turn off with --no-use-preset-frame-rate)' },
+  { name: 'use-preset-size', type: 'boolean', group: 'Video', default: true,
+    description: 'Use preset size (default: true, turn off with --no-use-preset-size)' },
+
+  // Timeline
+  { name: 'duration', type: 'number', group: 'Timeline', value: '<seconds>', min: 0, hints: ['length'],
+    description: 'Video duration (default: the template\'s); per row: "duration" column' },
+  { name: 'work-in', type: 'number', group: 'Timeline', value: '<seconds>', min: 0, hints: ['in', 'work-area'],
+    description: 'Render from this time on (default: 0); per row: "work_in" column' },
+  { name: 'work-out', type: 'number', group: 'Timeline', value: '<seconds>', min: 0, hints: ['out-point'],
+    description: ['Render up to this time (default: the duration); per row: "work_out" column',
+      'Layer timing per row: "time_<layer>" shifts a layer, "__in"/"__out" move its in/out point'] },
+
+  // Images
+  { name: 'fit', type: 'string', group: 'Images', value: '<string>', default: 'contain', choices: ['contain', 'cover', 'fill', 'inside'],
+    description: ['How images fill their Smart Object: contain, cover, fill or inside (default: contain)',
+      'Per row: "<image column>__fit" column, e.g. "Image 1__fit"'] },
+  { name: 'pad-color', type: 'string', group: 'Images', value: '<color>', default: 'transparent', hints: ['pad', 'padding', 'background'],
+    description: ['Background for letterboxed areas, e.g. "#ffffff" or "transparent" (default: transparent)',
+      'Per row: "<image column>__pad" column'] },
+  { name: 'focus', type: 'string', group: 'Images', value: '<string>', default: 'center', hints: ['focal', 'crop'],
+    description: ['Crop focus for --fit cover: center, top, bottom, left, right, "top left"...,',
+      'attention, entropy or a focal point "x,y" in 0-1 / percent (default: center)',
+      'Per row: "<image column>__focus" column'] },
+  { name: 'download-concurrency', type: 'integer', group: 'Images', value: '<number>', default: 4, min: 1, hints: ['concurrency'],
+    description: 'Image URLs downloaded at the same time (default: 4)' },
+  { name: 'download-retries', type: 'integer', group: 'Images', value: '<number>', default: 2, min: 0,
+    description: 'Retries per image URL on network errors, timeouts and 5xx (default: 2)' },
+  { name: 'download-timeout', type: 'number', group: 'Images', value: '<seconds>', default: 30, min: 1,
+    description: 'Timeout per image URL download (default: 30)' },
+
+  // Video clips
+  { name: 'video-fit', type: 'string', group: 'Video clips', value: '<mode>', choices: ['contain', 'cover', 'fill'], hints: ['clip-fit'],
+    description: ['Scale video_ clips to their layer: contain, cover or fill (default: no scaling)',
+      'Per row: "<video column>__fit"; "__start" skips seconds at the start of the clip'] },
+  { name: 'video-trim', type: 'boolean', group: 'Video clips', default: false, hints: ['trim'],
+    description: 'Cut video_ clips that run longer than the timeline; per row: "<video column>__trim"' },
+
+  // Text
+  { name: 'autofit', type: 'boolean', group: 'Text', default: false, hints: ['auto-fit', 'fit-text'],
+    description: ["Shrink replaced text until it fits the layer's original bounds or paragraph box",
+      'Per row: "<text column>__autofit" column (yes/no)'] },
+  { name: 'min-font-size', type: 'number', group: 'Text', value: '<pt>', default: 6, min: 0, hints: ['min-size', 'min-font'],
+    description: ['Smallest font size --autofit may use (default: 6)',
+      'Per row: "<text column>__minSize"; styling: __font, __size, __color,',
+      '__tracking, __align (left, center, right, justify), __layer (txt_ only)'] },
+
+  // Post-processing
+  { name: 'post-process', type: 'path', group: 'Post-processing', value: '<path>', hints: ['postprocess', 'post'],
+    description: ['JSON or YAML list of ffmpeg steps run on every exported video:',
+      "audio (mux the row's 'audio' file), loudnorm, thumbnail, preview (gif/webp),",
+      'transcode (vp9, hevc, h264)'] },
+  { name: 'ffmpeg', type: 'string', group: 'Post-processing', value: '<path>', default: 'ffmpeg',
+    description: 'ffmpeg binary used by --post-process and video clips (default: ffmpeg on PATH)' },
+  { name: 'verify', type: 'boolean', group: 'Post-processing', default: false, hints: ['verfiy', 'check'],
+    description: 'Probe every exported video and check it against its rendition' },
+  { name: 'spec', type: 'path', group: 'Post-processing', value: '<path>', hints: ['specs'],
+    description: ['JSON or YAML output specs (aspect, maxDuration, codec, frameRate, audio...)',
+      'checked by --verify; implies --verify'] },
+  { name: 'ffprobe', type: 'string', group: 'Post-processing', value: '<path>', default: 'ffprobe',
+    description: 'ffprobe binary used by --verify and video clips (default: ffprobe on PATH)' },
+
+  // Resume
+  { name: 'manifest', type: 'path', group: 'Resume', value: '<path>',
+    description: ['Run manifest used to skip rows whose outputs are up to date',
+      '(default: manifest.json next to the report)'] },
+  { name: 'force', type: 'boolean', group: 'Resume', default: false, hints: ['forced'],
+    description: 'Render every row, even when its outputs are up to date' },
+  { name: 'only-failed', type: 'boolean', group: 'Resume', default: false, hints: ['failed'],
+    description: 'Only render rows that failed in the previous run' },
+
+  // System
+  { name: 'run', type: 'boolean', group: 'System', default: true,
+    description: 'Run the generated scripts (default: true, --no-run only writes them)' },
+  { name: 'timeout', type: 'number', group: 'System', value: '<number>', default: 1800, min: 1,
+    description: 'Script execution timeout in seconds, per chunk (default: 1800)' },
+  { name: 'chunk-size', type: 'integer', group: 'System', value: '<number>', min: 1, hints: ['chunk', 'chunksize'],
+    description: 'Rows per generated JSX script; each chunk runs separately (default: all rows)' },
+  { name: 'retries', type: 'integer', group: 'System', value: '<number>', default: 0, min: 0, hints: ['retry'],
+    description: 'How often rows of a failed or timed out chunk are retried (default: 0)' },
+  { name: 'ps-app', type: 'string', group: 'System', value: '<string>', default: 'Adobe Photoshop 2025',
+    description: 'Photoshop application name for macOS (default: Adobe Photoshop 2025)' },
+  { name: 'executor', type: 'string', group: 'System', value: '<string>', choices: ['osascript', 'cscript', 'dry-run', 'command'], hints: ['exec', 'executer'],
+    description: ['How generated JSX is run: osascript, cscript, dry-run or command',
+      '(default: osascript on macOS, cscript on Windows)'] },
+  { name: 'executor-command', type: 'string', group: 'System', value: '<string>',
+    description: ['Program used by --executor command; "{script}" is replaced',
+      'with the JSX path, otherwise the path is appended as last argument'] },
+  { name: 'dry-run-fixture', type: 'path', group: 'System', value: '<path>',
+    description: 'JSON fixture with fake bounds / missing layers / row results for --executor dry-run' },
+  { name: 'temp', type: 'path', group: 'System', value: '<folder>', hints: ['tmp', 'temp-dir'],
+    description: 'Folder for generated scripts, resized images, prepared clips and downloads (default: ./temp)' },
+
+  // Config
+  { name: 'config', type: 'path', group: 'Config', value: '<path>', cliOnly: true, hints: ['conf', 'configuration'],
+    description: ['Config file with options and named profiles',
+      '(default: psd-to-mp4.config.json, .yaml or .yml in the current directory)'] },
+  { name: 'profile', type: 'string', group: 'Config', value: '<name>', cliOnly: true, hints: ['profiles', 'preset-profile'],
+    description: 'Profile of the config file to apply, e.g. social-story' },
+
+  // Inspect
+  { name: 'json', type: 'path', group: 'Inspect', value: '<path>',
+    description: 'Where the JSON layer manifest is written (default: ./<template>.layers.json)' },
+  { name: 'starter-csv', type: 'path', group: 'Inspect', value: '<path>',
+    description: 'Also write a header-only starter CSV with the supported columns' },
+  { name: 'starter-mapping', type: 'path', group: 'Inspect', value: '<path>',
+    description: ['Mapping file for layers the naming conventions can\'t express',
+      '(default: next to the starter CSV, only written when needed)'] },
+
+  // Server
+  { name: 'port', type: 'integer', group: 'Server', value: '<number>', default: 8787, min: 1,
+    description: 'Port of the job server started by the serve command (default: 8787)' },
+  { name: 'host', type: 'string', group: 'Server', value: '<address>', default: '127.0.0.1',
+    description: 'Address the job server listens on (default: 127.0.0.1, use 0.0.0.0 for the network)' },
+  { name: 'jobs', type: 'path', group: 'Server', value: '<folder>', hints: ['jobs-dir'],
+    description: 'Folder for the data, reports and outputs of server jobs (default: ./jobs)' },
+
+  // Watch
+  { name: 'settle', type: 'number', group: 'Watch', value: '<seconds>', default: 3, min: 0, hints: ['debounce', 'quiet'],
+    description: ['How long a watched folder must stay unchanged before its new', 'data files are rendered (default: 3)'] },
+
+  { name: 'help', aliases: ['h'], type: 'boolean', default: false, cliOnly: true,
+    description: 'Show this help message' },
+];
+
+const CONFIG_FILE_NAMES = ['psd-to-mp4.config.json', 'psd-to-mp4.config.yaml', 'psd-to-mp4.config.yml'];
+
+// Values of yes/no options and cells
+const YES_VALUES = ['1', 'true', 'yes', 'y', 'on', 'show', 'visible'];
+const NO_VALUES = ['0', 'false', 'no', 'n', 'off', 'hide', 'hidden'];
+
+function parseYesNo(value) {
+  const normalized = String(value).trim().toLowerCase();
+  if (YES_VALUES.includes(normalized)) return true;
+  if (NO_VALUES.includes(normalized)) return false;
+  return null;
+}
+
+function findOption(name) {
+  return OPTION_SCHEMA.find(option => option.name === name || (option.aliases || []).includes(name));
+}
+
+// Number of single-character edits between two option names
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// Closest option name for a misspelled one: a declared hint first, then up to two edits
+function suggestOption(name) {
+  const hinted = OPTION_SCHEMA.find(option => (option.hints || []).includes(name));
+  if (hinted) return hinted.name;
+  const scored = OPTION_SCHEMA
+    .map(option => ({ name: option.name, distance: editDistance(name, option.name) }))
+    .filter(candidate => candidate.distance <= Math.min(2, Math.floor(name.length / 3)))
+    .sort((a, b) => a.distance - b.distance);
+  return scored.length > 0 ? scored[0].name : null;
+}
+
+// Check an option value against its type; source names it in errors, e.g. "--width"
+function coerceOption(option, value, baseDir, source) {
+  const invalid = expected => new Error(`❌ Invalid ${source} "${value}". Expected ${expected}.`);
+
+  if (option.type === 'boolean') {
+    const flag = typeof value === 'boolean' ? value : parseYesNo(value);
+    if (flag === null) throw invalid('true or false');
+    return flag;
+  }
+  if (option.type === 'number' || option.type === 'integer') {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    const kind = option.type === 'integer' ? 'an integer' : 'a number';
+    if (typeof value === 'boolean' || String(value).trim() === '' || !Number.isFinite(number)) throw invalid(kind);
+    if (option.type === 'integer' && !Number.isInteger(number)) throw invalid(kind);
+    if (option.min !== undefined && number < option.min) throw invalid(`${kind} of at least ${option.min}`);
+    return number;
+  }
+  if (typeof value === 'boolean' || value === '') throw invalid(`a value after ${source}`);
+  if (option.type === 'path') return path.resolve(baseDir, String(value));
+  if (option.choices && !option.choices.includes(String(value))) throw invalid(`one of ${option.choices.join(', ')}`);
+  return String(value);
+}
+
+// Check the keys of a config file section, e.g. { width: 1080, renditions: "story.yaml" }
+function checkConfigSection(section, label) {
+  if (section === undefined || section === null) return {};
+  if (typeof section !== 'object' || Array.isArray(section)) throw new Error(`❌ ${label} must be an object of options`);
+  for (const key of Object.keys(section)) {
+    const option = findOption(key);
+    if (!option || option.cliOnly) {
+      const suggestion = suggestOption(key);
+      throw new Error(`❌ Unknown option "${key}" in ${label}${suggestion ? `. Did you mean "${suggestion}"?` : ''}`);
+    }
+  }
+  return section;
+}
+
+// Read the config file: --config, or the first psd-to-mp4.config.* in the current directory
+function loadConfigFile(configPath) {
+  const resolved = configPath || CONFIG_FILE_NAMES.map(name => path.resolve(name)).find(candidate => fs.existsSync(candidate));
+  if (!resolved) return null;
+  if (!fs.existsSync(resolved)) throw new Error(`❌ Config file not found: ${resolved}`);
+
+  let content;
+  try {
+    const source = fs.readFileSync(resolved, 'utf-8');
+    content = /\.ya?ml$/i.test(resolved) ? yaml.load(source) : JSON.parse(source);
+  } catch (err) {
+    throw new Error(`❌ Could not read config file ${resolved}: ${err.message}`);
+  }
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    throw new Error(`❌ Config file ${resolved} must contain an object with "options" and/or "profiles"`);
+  }
+  const unknownKeys = Object.keys(content).filter(key => !['options', 'profiles'].includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`❌ Unknown key(s) in config file ${resolved}: ${unknownKeys.join(', ')}. Put options under "options" or "profiles.<name>"`);
+  }
+
+  const profiles = {};
+  for (const [name, profile] of Object.entries(content.profiles || {})) {
+    profiles[name] = checkConfigSection(profile, `profile "${name}" of ${resolved}`);
+  }
+  return { path: resolved, options: checkConfigSection(content.options, `"options" of ${resolved}`), profiles };
+}
+
+// Merge option values, keyed by option name, with the config file, the selected profile
+// and the schema defaults. Returns { options, configPath, profile }.
+function mergeOptions(values, readConfig = true) {
+  const config = readConfig ? loadConfigFile(values.config) : null;
+  const profileName = values.profile || null;
+  if (profileName && !config) throw new Error(`❌ --profile ${profileName} needs a config file (${CONFIG_FILE_NAMES[0]} or --config <path>)`);
+  if (profileName && !config.profiles[profileName]) {
+    const available = Object.keys(config.profiles);
+    throw new Error(`❌ Unknown profile "${profileName}" in ${config.path}. Available profiles: ${available.join(', ') || 'none'}`);
+  }
+
+  const options = {};
+  const configDir = config ? path.dirname(config.path) : process.cwd();
+  for (const option of OPTION_SCHEMA) {
+    const label = `"${option.name}" in ${config ? config.path : 'the config file'}`;
+    const fromSection = section => {
+      const key = section && [option.name, ...(option.aliases || [])].find(name => section[name] !== undefined && section[name] !== null);
+      return key === undefined ? undefined : coerceOption(option, section[key], configDir, label);
+    };
+    options[option.name] = values[option.name]
+      ?? (profileName ? fromSection(config.profiles[profileName]) : undefined)
+      ?? (config ? fromSection(config.options) : undefined)
+      ?? option.default
+      ?? null;
+  }
+
+  return { options, configPath: config ? config.path : null, profile: profileName };
+}
+
+// Words a boolean flag takes as its value from the next argument, as in "--verify false"
+const FLAG_VALUES = ['true', 'false', 'yes', 'no', '1', '0'];
+
+// minimist only reads true/false after a boolean flag and turns "--flag=no" into true, so
+// "--flag no" and "--flag=no" become "--no-flag" first. Any other next argument is left alone:
+// in "watch --verify hot", "hot" is the folder.
+function normalizeBooleanFlags(argv, booleanNames) {
+  const normalized = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--') {
+      normalized.push(...argv.slice(i));
+      break;
+    }
+    const match = String(argv[i]).match(/^--([^=]+)(?:=([\s\S]*))?$/);
+    if (!match || !booleanNames.includes(match[1])) {
+      normalized.push(argv[i]);
+      continue;
+    }
+    let value = match[2];
+    if (value === undefined && i + 1 < argv.length && FLAG_VALUES.includes(String(argv[i + 1]).toLowerCase())) value = argv[++i];
+    if (value === undefined) {
+      normalized.push(argv[i]);
+      continue;
+    }
+    const flag = parseYesNo(value);
+    if (flag === null) throw new Error(`❌ Invalid --${match[1]} "${value}". Expected true or false.`);
+    normalized.push(flag ? `--${match[1]}` : `--no-${match[1]}`);
+  }
+  return normalized;
+}
+
+// Parse argv into { command, args, options, configPath, profile }. Throws on unknown options,
+// invalid values and missing profiles.
+function parseOptions(argv) {
+  const optionNames = type => OPTION_SCHEMA.filter(option => type.includes(option.type)).flatMap(option => [option.name, ...(option.aliases || [])]);
+  const booleanNames = optionNames(['boolean']);
+  const parsed = minimist(normalizeBooleanFlags(argv, booleanNames), {
+    string: optionNames(['string', 'path']),
+    boolean: booleanNames,
+    // null instead of minimist's false, so that flags that weren't given leave the config file's values
+    default: Object.fromEntries(booleanNames.map(name => [name, null])),
+  });
+
+  // 🔍 Unknown options, with a suggestion when one is close
+  const unknown = Object.keys(parsed).filter(key => key !== '_' && !findOption(key));
+  for (const name of unknown) {
+    const suggestion = suggestOption(name);
+    if (suggestion) throw new Error(`❌ Did you mean --${suggestion} instead of --${name}?`);
+  }
+  if (unknown.length > 0) {
+    throw new Error(`❌ Invalid parameter(s): --${unknown.join(', --')}\n\n📝 Valid parameters are:\n${formatOptionList()}\n\n💡 Tip: Check for typos like --heigh instead of --height`);
+  }
+
+  // CLI values by option name; minimist leaves empty strings for string flags without a value
+  const cliValues = {};
+  for (const option of OPTION_SCHEMA) {
+    const key = [option.name, ...(option.aliases || [])].find(name => parsed[name] !== undefined && parsed[name] !== null);
+    if (key === undefined) continue;
+    const value = Array.isArray(parsed[key]) ? parsed[key][parsed[key].length - 1] : parsed[key];
+    cliValues[option.name] = coerceOption(option, value, process.cwd(), `--${key}`);
+  }
+
+  const [command = 'render', ...args] = parsed._.map(String);
+  return { command, args, ...mergeOptions(cliValues) };
+}
+
+// Check option values passed from code, e.g. { template: 'a.psd', chunkSize: 10 }. Keys are
+// option names, aliases or their camelCase form. Unlike the CLI, a config file is only read
+// when "config" or "profile" is given.
+function resolveOptions(values = {}) {
+  const checked = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined || value === null) continue;
+    const name = key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    const option = findOption(name);
+    if (!option || option.name === 'help') {
+      const suggestion = suggestOption(name);
+      throw new Error(`❌ Unknown option "${key}"${suggestion ? `. Did you mean "${suggestion}"?` : ''}`);
+    }
+    checked[option.name] = coerceOption(option, value, process.cwd(), `option "${key}"`);
+  }
+  return mergeOptions(checked, checked.config !== undefined || checked.profile !== undefined);
+}
+
+// "  Input:    --csv, --template, ..." lines for error messages
+function formatOptionList() {
+  return OPTION_GROUPS.concat([undefined])
+    .map(group => {
+      const names = OPTION_SCHEMA.filter(option => option.group === group).map(option => `--${option.name}`);
+      return `  ${`${group || 'Help'}:`.padEnd(17)} ${names.concat(group ? [] : ['-h']).join(', ')}`;
+    })
+    .join('\n');
+}
+
+function formatHelp() {
+  const lines = [
+    '',
+    'Usage: psd-to-mp4-batch [options]',
+    '       psd-to-mp4-batch inspect --template <path> [--json <path>] [--starter-csv <path>]',
+    '       psd-to-mp4-batch serve [--port <number>] [--host <address>] [--jobs <folder>]',
+    '       psd-to-mp4-batch watch <folder> [--template <path>] [--out <folder>] [--settle <seconds>]',
+  ];
+  const formatOption = option => {
+    const flag = option.name === 'help' ? '-h, --help' : `--${option.name}${option.value ? ` ${option.value}` : ''}`;
+    const [first, ...rest] = [].concat(option.description);
+    const label = `  ${flag}`;
+    return [`${label}${label.length < 23 ? ' '.repeat(23 - label.length) : '  '}${first}`, ...rest.map(line => `${' '.repeat(24)}${line}`)];
+  };
+  for (const group of OPTION_GROUPS) {
+    lines.push('', `${group}:`, ...OPTION_SCHEMA.filter(option => option.group === group).flatMap(formatOption));
+  }
+  lines.push('', ...formatOption(findOption('help')), '');
+  return lines.join('\n');
+}
+
+module.exports = {
+  OPTION_GROUPS,
+  OPTION_SCHEMA,
+  CONFIG_FILE_NAMES,
+  YES_VALUES,
+  NO_VALUES,
+  parseYesNo,
+  findOption,
+  suggestOption,
+  parseOptions,
+  resolveOptions,
+  formatOptionList,
+  formatHelp,
+};
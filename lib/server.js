@@ -0,0 +1,312 @@
+// Job server: clients POST render jobs over HTTP, the jobs run one at a time through renderBatch
+const fs = require('fs-extra');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { resolveOptions } = require('./options');
+const { renderBatch } = require('./batch');
+
+// Options of the serve command that are not passed on to its jobs
+const SERVER_SETTINGS = ['config', 'profile', 'help', 'port', 'host', 'jobs', 'csv', 'manifest', 'json', 'starter-csv', 'starter-mapping'];
+// Options a client can't send with a job: the server settings, the programs the server runs and
+// every file or folder option, so that a job only reads the files the server was started with
+const SERVER_ONLY_OPTIONS = [...SERVER_SETTINGS, 'out', 'report', 'executor', 'executor-command', 'dry-run-fixture', 'ps-app', 'ffmpeg', 'ffprobe', 'temp',
+  'template', 'templates', 'images', 'mapping', 'rules', 'renditions', 'post-process', 'spec'];
+// The row selection only comes with a job, never from the server's options
+const SELECTION_OPTIONS = ['ids', 'rows', 'row-range', 'where', 'shard'];
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4', '.mov': 'video/quicktime', '.psd': 'image/vnd.adobe.photoshop', '.jpg': 'image/jpeg',
+  '.png': 'image/png', '.json': 'application/json', '.csv': 'text/csv',
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function toKebabCase(key) {
+  return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function sendFile(res, filePath, download) {
+  const headers = {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': fs.statSync(filePath).size,
+  };
+  if (download) headers['Content-Disposition'] = `attachment; filename="${path.basename(filePath).replace(/"/g, '')}"`;
+  res.writeHead(200, headers);
+  fs.createReadStream(filePath).pipe(res);
+}
+
+// Too large bodies are not read any further: the 413 is sent with "Connection: close" and the
+// connection is closed once the client has it
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.off('data', onData);
+        req.pause();
+        chunks.length = 0;
+        reject(new HttpError(413, `Request body is larger than ${MAX_BODY_BYTES / 1024 / 1024} MB`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+// Files below a folder, as paths relative to it
+async function listFiles(dir, prefix = '') {
+  if (!fs.existsSync(dir)) return [];
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) files.push(...await listFiles(path.join(dir, entry.name), relative));
+    else files.push(relative);
+  }
+  return files;
+}
+
+// Create the job server for the options of the serve command. Jobs and their queue live in
+// memory; every job gets a folder below --jobs with its data, report, manifest and outputs.
+// The server's and its jobs' progress messages go to "logger", the console by default.
+function createJobServer({ options, logger = console }) {
+  const jobsDir = options.jobs || path.resolve('jobs');
+  const defaults = Object.fromEntries(Object.entries(options)
+    .filter(([name, value]) => value !== null && !SERVER_SETTINGS.includes(name) && !SELECTION_OPTIONS.includes(name)));
+  const jobs = new Map();
+  const queue = [];
+  let running = null;
+
+  function describeJob(job) {
+    const rows = Object.entries(job.rows).map(([productId, status]) => ({ productId, status }));
+    const counts = { total: rows.length };
+    rows.forEach(row => { counts[row.status] = (counts[row.status] || 0) + 1; });
+    return {
+      id: job.id,
+      status: job.status,
+      position: job.status === 'queued' ? queue.indexOf(job) + 1 : null,
+      template: job.options.template || null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      counts,
+      rows,
+      error: job.error,
+      errors: job.errors,
+      links: {
+        self: `/jobs/${job.id}`,
+        report: `/jobs/${job.id}/report`,
+        outputs: `/jobs/${job.id}/outputs`,
+        cancel: `/jobs/${job.id}/cancel`,
+      },
+    };
+  }
+
+  // Check the posted job: { rows: [...] } or { csv: "<csv text>" }, a template and options
+  async function createJob(body) {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (err) {
+      throw new HttpError(400, `Request body must be JSON: ${err.message}`);
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) throw new HttpError(400, 'Request body must be a JSON object');
+    const { rows, csv, template, options = {} } = payload;
+    if ((rows === undefined) === (csv === undefined)) throw new HttpError(400, 'Send either "rows" (an array of row objects) or "csv" (CSV text)');
+    if (rows !== undefined && !Array.isArray(rows)) throw new HttpError(400, '"rows" must be an array of row objects');
+    if (csv !== undefined && typeof csv !== 'string') throw new HttpError(400, '"csv" must be the CSV text');
+    if (!options || typeof options !== 'object' || Array.isArray(options)) throw new HttpError(400, '"options" must be an object of options');
+
+    const forbidden = Object.keys(options).filter(key => SERVER_ONLY_OPTIONS.includes(toKebabCase(key)));
+    if (forbidden.length > 0) throw new HttpError(400, `These options are set by the server and can't be sent with a job: ${forbidden.join(', ')}`);
+
+    const id = `${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+    const jobDir = path.join(jobsDir, id);
+    const jobOptions = { ...defaults, ...options, out: path.join(jobDir, 'out'), report: jobDir };
+    // "rows" is taken by the posted rows, so the --rows range goes by its alias
+    if (jobOptions.rows !== undefined) {
+      jobOptions['row-range'] = jobOptions.rows;
+      delete jobOptions.rows;
+    }
+    // Template names are looked up in the server's --templates folder and must stay inside it
+    if (template !== undefined) {
+      if (typeof template !== 'string' || template.trim() === '') throw new HttpError(400, '"template" must be a path or a file name');
+      const templatesDir = path.resolve(defaults.templates || process.cwd());
+      jobOptions.template = path.resolve(templatesDir, template);
+      if (!jobOptions.template.startsWith(templatesDir + path.sep)) {
+        throw new HttpError(400, `"template" must be a file in the templates folder: ${template}`);
+      }
+    }
+    if (!jobOptions.template && !jobOptions.templates) throw new HttpError(400, 'Send a "template", or start the server with --template or --templates');
+    try {
+      resolveOptions(jobOptions);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    if (csv !== undefined) {
+      await fs.outputFile(path.join(jobDir, 'data.csv'), csv);
+      jobOptions.csv = path.join(jobDir, 'data.csv');
+    }
+
+    const job = {
+      id,
+      dir: jobDir,
+      status: 'queued',
+      rows: {},
+      options: jobOptions,
+      input: rows,
+      controller: new AbortController(),
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      errors: [],
+    };
+    jobs.set(id, job);
+    queue.push(job);
+    logger.log(`📥 Job ${id} queued (${queue.length} waiting)`);
+    setImmediate(runNext);
+    return job;
+  }
+
+  async function runNext() {
+    if (running || queue.length === 0) return;
+    const job = queue.shift();
+    running = job;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    logger.log(`🚀 Job ${job.id} started`);
+
+    const setRows = (productIds, status) => productIds.forEach(productId => { job.rows[productId] = status; });
+    try {
+      const report = await renderBatch({ ...job.options, rows: job.input, signal: job.controller.signal, logger })
+        .on('validated', ({ rows, skipped }) => { setRows(rows, 'pending'); setRows(skipped, 'skipped'); })
+        .on('scriptGenerated', ({ rows }) => setRows(rows, 'scripted'))
+        .on('rowExported', row => setRows([row.productId], row.status))
+        .on('rowFailed', row => setRows([row.productId], 'failed'))
+        .on('rowSkipped', row => setRows([row.productId], 'skipped'));
+      job.status = report.some(row => row.status === 'failed') ? 'failed' : 'done';
+    } catch (error) {
+      job.status = job.controller.signal.aborted ? 'cancelled' : 'failed';
+      job.error = error.message;
+      job.errors = error.details || [];
+      setRows(Object.keys(job.rows).filter(productId => ['pending', 'scripted'].includes(job.rows[productId])), job.status);
+    }
+    job.finishedAt = new Date().toISOString();
+    logger.log(`🏁 Job ${job.id} ${job.status}${job.error ? `: ${job.error}` : ''}`);
+    running = null;
+    runNext();
+  }
+
+  function cancelJob(job) {
+    if (!['queued', 'running'].includes(job.status)) throw new HttpError(409, `Job ${job.id} is already ${job.status}`);
+    job.controller.abort();
+    if (job.status === 'queued') {
+      queue.splice(queue.indexOf(job), 1);
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+    }
+    logger.log(`🛑 Job ${job.id} cancelled`);
+  }
+
+  function sendReport(res, job, format) {
+    const reportPath = path.join(job.dir, format === 'csv' ? 'report.csv' : 'report.json');
+    if (!fs.existsSync(reportPath)) throw new HttpError(404, `No report for job ${job.id} yet (status: ${job.status})`);
+    sendFile(res, reportPath, false);
+  }
+
+  async function sendOutputs(res, job, relativePath) {
+    const outDir = path.join(job.dir, 'out');
+    if (!relativePath) {
+      const files = await listFiles(outDir);
+      sendJson(res, 200, {
+        id: job.id,
+        status: job.status,
+        files: files.map(file => ({
+          name: file,
+          size: fs.statSync(path.join(outDir, file)).size,
+          url: `/jobs/${job.id}/outputs/${file.split('/').map(encodeURIComponent).join('/')}`,
+        })),
+      });
+      return;
+    }
+    const filePath = path.resolve(outDir, relativePath);
+    if (!filePath.startsWith(outDir + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new HttpError(404, `No output "${relativePath}" in job ${job.id}`);
+    }
+    sendFile(res, filePath, true);
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let parts;
+    try {
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (err) {
+      throw new HttpError(400, `Malformed path ${url.pathname}`);
+    }
+    if (parts[0] !== 'jobs') throw new HttpError(404, `Unknown path ${url.pathname}`);
+
+    if (parts.length === 1) {
+      if (req.method === 'GET') return sendJson(res, 200, { running: running ? running.id : null, queued: queue.length, jobs: [...jobs.values()].map(describeJob) });
+      if (req.method === 'POST') return sendJson(res, 202, describeJob(await createJob(await readBody(req))));
+      throw new HttpError(405, `${req.method} is not supported on /jobs`);
+    }
+
+    const job = jobs.get(parts[1]);
+    if (!job) throw new HttpError(404, `Unknown job ${parts[1]}`);
+    const action = parts[2];
+    if (action === undefined && req.method === 'GET') return sendJson(res, 200, describeJob(job));
+    if (action === 'cancel' && req.method === 'POST') {
+      cancelJob(job);
+      return sendJson(res, 200, describeJob(job));
+    }
+    if (action === 'report' && req.method === 'GET') return sendReport(res, job, url.searchParams.get('format'));
+    if (action === 'outputs' && req.method === 'GET') return sendOutputs(res, job, parts.slice(3).join('/'));
+    throw new HttpError(404, `Unknown path ${req.method} ${url.pathname}`);
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (!(error instanceof HttpError)) logger.error(`❌ Error handling ${req.method} ${req.url}: ${error.message}`);
+      if (error.status === 413) res.setHeader('Connection', 'close');
+      if (!res.headersSent) sendJson(res, error.status || 500, { error: error.message });
+      else res.end();
+    });
+  });
+}
+
+// Start the job server and keep it running until the process is stopped
+function serve(settings) {
+  const { port, host } = settings.options;
+  const { logger = console } = settings;
+  const server = createJobServer(settings);
+  return new Promise((resolve, reject) => {
+    server.once('error', error => reject(new Error(`❌ Could not start the job server on ${host}:${port}: ${error.message}`)));
+    server.listen(port, host, () => {
+      logger.log(`🌐 Job server listening on http://${host}:${port}/jobs`);
+      logger.log(`📁 Job folders: ${settings.options.jobs || path.resolve('jobs')}`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  createJobServer,
+  serve,
+};
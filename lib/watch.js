@@ -0,0 +1,180 @@
+// Hot folder: render data files dropped into a folder, then move them to done/ or failed/
+const fs = require('fs-extra');
+const path = require('path');
+const { renderBatch } = require('./batch');
+
+// Everything readRows reads except .txt, which is too easy to confuse with a note
+const DATA_EXTENSIONS = ['.csv', '.tsv', '.tab', '.json', '.ndjson', '.jsonl', '.xlsx'];
+const WATCH_POLL_MS = 1000;
+const DONE_DIR = 'done';
+const FAILED_DIR = 'failed';
+const STAGING_DIR = '.processing'; // Reports of the running job, before it is moved
+
+function isDataFile(name) {
+  return DATA_EXTENSIONS.includes(path.extname(name).toLowerCase()) && !name.startsWith('.') && !name.startsWith('~$');
+}
+
+function timestamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+}
+
+// "relative/path" -> "size:mtime" of every file below the folder, skipping dot files and ignored folders
+async function snapshotFolder(dir, ignoredDirs, prefix = '') {
+  const files = new Map();
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    return files; // Removed while scanning
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, entry.name);
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (ignoredDirs.includes(fullPath)) continue;
+      (await snapshotFolder(fullPath, ignoredDirs, relative)).forEach((signature, file) => files.set(file, signature));
+    } else if (entry.isFile()) {
+      const stat = await fs.stat(fullPath).catch(() => null);
+      if (stat) files.set(relative, `${stat.size}:${stat.mtimeMs}`);
+    }
+  }
+  return files;
+}
+
+// Files of the folder a job's rows point at: cells that resolve to a file inside the folder.
+// Templates stay where they are, other jobs may use them too.
+function findReferencedFiles(rows, imagesDir, folder) {
+  const files = new Set();
+  for (const row of rows) {
+    for (const value of Object.values(row)) {
+      if (typeof value !== 'string' || value.trim() === '' || /^[a-z][a-z\d+.-]*:\/\//i.test(value)) continue;
+      const filePath = path.resolve(imagesDir, value.trim());
+      if (/\.ps[db]$/i.test(filePath)) continue;
+      if (filePath.startsWith(folder + path.sep) && fs.existsSync(filePath) && fs.statSync(filePath).isFile()) files.add(filePath);
+    }
+  }
+  return [...files];
+}
+
+// Move a job's data file and report to done/<job> or failed/<job> and copy the files it references there,
+// keeping their paths relative to the folder. The referenced files stay, other data files may use them too.
+async function archiveJob(folder, jobDir, dataFile, assets, stagingDir) {
+  for (const asset of assets) {
+    if (fs.existsSync(asset)) await fs.copy(asset, path.join(jobDir, path.relative(folder, asset)), { overwrite: true });
+  }
+  if (fs.existsSync(dataFile)) await fs.move(dataFile, path.join(jobDir, path.relative(folder, dataFile)), { overwrite: true });
+  if (fs.existsSync(stagingDir)) {
+    for (const name of await fs.readdir(stagingDir)) {
+      await fs.move(path.join(stagingDir, name), path.join(jobDir, name), { overwrite: true });
+    }
+    await fs.remove(stagingDir);
+  }
+}
+
+// Render one data file. Resolves with the files of the folder it references, none when it couldn't be archived.
+async function runWatchJob(folder, dataFile, options, logger) {
+  const name = path.basename(dataFile, path.extname(dataFile));
+  const jobId = `${name}-${timestamp()}`;
+  const stagingDir = path.join(folder, STAGING_DIR, jobId);
+  const imagesDir = options.images || folder;
+  const assets = [];
+  let failure = null;
+
+  logger.log(`📥 Rendering ${path.relative(folder, dataFile)} (job ${jobId})`);
+  try {
+    const report = await renderBatch({ ...options, csv: dataFile, images: imagesDir, report: stagingDir, logger })
+      .on('read', ({ rows }) => assets.push(...findReferencedFiles(rows, imagesDir, folder)));
+    const failedRows = report.filter(row => row.status === 'failed').length;
+    if (failedRows > 0) failure = `${failedRows} row(s) failed. See the report for details.`;
+  } catch (error) {
+    failure = error.message;
+  }
+
+  const jobDir = path.join(folder, failure ? FAILED_DIR : DONE_DIR, jobId);
+  logger.log(failure ? `❌ ${path.basename(dataFile)} failed: ${failure}` : `✅ ${path.basename(dataFile)} done`);
+  // A locked file or a missing permission must not stop the watcher: the data file stays and isn't rendered again
+  try {
+    if (failure) await fs.outputFile(path.join(stagingDir, 'error.txt'), failure + '\n');
+    await archiveJob(folder, jobDir, dataFile, assets, stagingDir);
+    logger.log(`📦 Moved to ${jobDir}`);
+  } catch (error) {
+    logger.error(`❌ Could not move ${path.basename(dataFile)} to ${jobDir}: ${error.message}`);
+    return [];
+  }
+  return assets;
+}
+
+// Top level data files that are new or changed since they were rendered
+function findPendingFiles(snapshot, rendered) {
+  return [...snapshot]
+    .filter(([file, signature]) => !file.includes('/') && isDataFile(file) && rendered.get(file) !== signature)
+    .map(([file]) => file)
+    .sort();
+}
+
+// Remove the files referenced by rendered data files, once no other data file is waiting that may use them
+async function removeAssets(assets, logger) {
+  for (const asset of assets) {
+    try {
+      await fs.remove(asset);
+    } catch (error) {
+      logger.error(`❌ Could not remove ${asset}: ${error.message}`);
+    }
+  }
+  assets.clear();
+}
+
+// Watch a folder for new or changed data files. The folder is polled; once it has been unchanged
+// for --settle seconds, so that copies of the data file and its images have finished, its data
+// files are rendered one at a time. Progress messages go to "logger", the console by default.
+async function watchFolder(folder, { options, logger = console }) {
+  const root = path.resolve(folder);
+  if (!(fs.existsSync(root) && fs.lstatSync(root).isDirectory())) throw new Error(`❌ Watch folder not found: ${root}`);
+
+  const watchOptions = Object.fromEntries(Object.entries(options)
+    .filter(([name, value]) => value !== null && !['config', 'profile', 'help', 'csv', 'port', 'host', 'jobs', 'settle'].includes(name)));
+  watchOptions.out = options.out || path.join(root, 'output');
+  // "rows" is taken by rows passed in code, so the --rows range goes by its alias
+  if (watchOptions.rows !== undefined) {
+    watchOptions['row-range'] = watchOptions.rows;
+    delete watchOptions.rows;
+  }
+  const ignoredDirs = [DONE_DIR, FAILED_DIR].map(dir => path.join(root, dir)).concat([watchOptions.out, path.resolve(options.temp || 'temp')]);
+  const settleMs = options.settle * 1000;
+
+  let previous = null;
+  let lastChange = Date.now();
+  const rendered = new Map(); // data file -> signature it was rendered with
+  const usedAssets = new Set(); // Files referenced by rendered data files, copied to their job folders
+
+  logger.log(`👀 Watching ${root} for ${DATA_EXTENSIONS.join(', ')} files (settle ${options.settle}s, Ctrl+C to stop)`);
+  logger.log(`📁 Outputs: ${watchOptions.out}`);
+
+  for (;;) {
+    const snapshot = await snapshotFolder(root, ignoredDirs);
+    const changed = !previous || snapshot.size !== previous.size || [...snapshot].some(([file, signature]) => previous.get(file) !== signature);
+    if (changed) lastChange = Date.now();
+    previous = snapshot;
+    [...rendered.keys()].filter(file => !snapshot.has(file)).forEach(file => rendered.delete(file));
+
+    if (Date.now() - lastChange >= settleMs) {
+      const pending = findPendingFiles(snapshot, rendered);
+      for (const file of pending) {
+        rendered.set(file, snapshot.get(file));
+        (await runWatchJob(root, path.join(root, file), watchOptions, logger)).forEach(asset => usedAssets.add(asset));
+      }
+      if (pending.length > 0) {
+        // Data files dropped during the run may use the same images, so they stay until those have run too
+        if (findPendingFiles(await snapshotFolder(root, ignoredDirs), rendered).length === 0) await removeAssets(usedAssets, logger);
+        previous = null;
+        logger.log(`👀 Waiting for new data files in ${root}`);
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, WATCH_POLL_MS));
+  }
+}
+
+module.exports = {
+  watchFolder,
+};
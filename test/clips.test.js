@@ -0,0 +1,65 @@
+// Video clips: probed with ffprobe, then trimmed and scaled with ffmpeg before Photoshop places them
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions, readPlan } = require('./helpers');
+
+// Every clip is a 10 second 1920x1080 video
+const FFPROBE = `#!${process.execPath}
+if (process.argv.includes('-version')) process.exit(0);
+process.stdout.write(JSON.stringify({ streams: [{ codec_type: 'video', codec_name: 'h264', width: 1920, height: 1080, avg_frame_rate: '25/1' }], format: { duration: '10' } }));
+`;
+// Records its arguments and writes the output file, the last argument
+const FFMPEG = `#!${process.execPath}
+const fs = require('fs');
+const args = process.argv.slice(2);
+fs.appendFileSync(__dirname + '/ffmpeg.log', JSON.stringify(args) + '\\n');
+if (!args.includes('-version')) fs.writeFileSync(args[args.length - 1], 'video');
+`;
+
+let dir;
+let tools;
+before(async () => {
+  dir = await createWorkspace({ bounds: { Broll: { width: 640, height: 360 } }, timeline: 6 });
+  await fs.outputFile(path.join(dir, 'images', 'broll.mov'), 'clip');
+  await fs.outputFile(path.join(dir, 'ffprobe.js'), FFPROBE, { mode: 0o755 });
+  await fs.outputFile(path.join(dir, 'ffmpeg.js'), FFMPEG, { mode: 0o755 });
+  tools = { ffprobe: path.join(dir, 'ffprobe.js'), ffmpeg: path.join(dir, 'ffmpeg.js') };
+});
+after(() => removeWorkspace(dir));
+
+test('trims and scales clips to the layer and the timeline, and warns about the rest', async () => {
+  const report = await renderBatch({
+    ...dryRunOptions(dir, { force: true, ...tools }),
+    rows: [
+      { product_id: 'prod001', video_Broll: 'broll.mov', video_Broll__fit: 'cover', video_Broll__trim: 'yes', video_Broll__start: '1' },
+      { product_id: 'prod002', video_Broll: 'broll.mov' },
+    ],
+  });
+
+  const calls = fs.readFileSync(path.join(dir, 'ffmpeg.log'), 'utf-8').trim().split('\n').map(line => JSON.parse(line).slice(4))
+    .filter(args => !args.includes('-version'));
+  const prepared = path.join(dir, 'temp', 'videos', 'prod001_video_Broll.mp4');
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(calls[0].slice(0, 6), ['-ss', '1', '-i', path.join(dir, 'images', 'broll.mov'), '-t', '6']);
+  assert.strictEqual(calls[0][6], '-vf');
+  assert.strictEqual(calls[0][calls[0].length - 1], prepared);
+
+  const script = fs.readFileSync(readPlan(dir).steps[1].script, 'utf-8');
+  assert.ok(script.includes(JSON.stringify(prepared)), 'the first row places the prepared clip');
+  assert.ok(script.includes(JSON.stringify(path.join(dir, 'images', 'broll.mov'))), 'the second row places the original clip');
+  assert.deepStrictEqual(report.map(row => row.warnings), [[], ['video_Broll: clip is 10.00s, longer than the 6s timeline']]);
+});
+
+test('rejects missing clips and invalid clip options', async () => {
+  await assert.rejects(
+    renderBatch({
+      ...dryRunOptions(dir, { force: true, ...tools }),
+      rows: [{ product_id: 'prod001', video_Broll: 'missing.mov' }, { product_id: 'prod002', video_Broll: 'broll.mov', video_Broll__fit: 'stretch' }],
+    }),
+    error => error.details.includes(`Missing video clips:\n  video_Broll: ${path.join(dir, 'images', 'missing.mov')}`)
+      && error.details.some(detail => detail.startsWith('Invalid video clip options:\n  Product prod002, video_Broll: ')),
+  );
+});
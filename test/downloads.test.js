@@ -0,0 +1,98 @@
+// Image URLs, fetched from a local HTTP stand-in into the download cache
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions } = require('./helpers');
+
+let dir;
+let server;
+let baseUrl;
+let png;
+const hits = new Map(); // path -> requests
+
+// /shoe.png serves the image, /flaky.png fails with 503 on the first request, /page.html is
+// HTML, /fake.png claims to be a PNG but isn't and anything else is a 404
+function handle(req, res) {
+  const count = (hits.get(req.url) || 0) + 1;
+  hits.set(req.url, count);
+  if (req.url === '/shoe.png' || (req.url === '/flaky.png' && count > 1)) {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(png);
+  } else if (req.url === '/flaky.png') {
+    res.writeHead(503);
+    res.end();
+  } else if (req.url === '/page.html') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html></html>');
+  } else if (req.url === '/fake.png') {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end('not a png');
+  } else {
+    res.writeHead(404);
+    res.end();
+  }
+}
+
+before(async () => {
+  dir = await createWorkspace({ bounds: { 'Image 1': { width: 200, height: 100 } } });
+  png = await fs.readFile(path.join(dir, 'images', 'shoe.png'));
+  server = http.createServer(handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await removeWorkspace(dir);
+});
+
+test('downloads image URLs into the cache and reuses them', async () => {
+  const url = `${baseUrl}/shoe.png`;
+  const resized = [];
+  await renderBatch({ ...dryRunOptions(dir, { force: true }), rows: [{ product_id: 'prod001', 'Image 1': url }] })
+    .on('resized', event => resized.push(event));
+
+  assert.strictEqual(resized.length, 1);
+  const index = await fs.readJson(path.join(dir, 'temp', 'downloads', 'index.json'));
+  assert.match(index[url], /^[0-9a-f]{64}\.png$/);
+  assert.ok(fs.existsSync(path.join(dir, 'temp', 'downloads', index[url])));
+
+  await renderBatch({ ...dryRunOptions(dir, { force: true }), rows: [{ product_id: 'prod001', 'Image 1': url }] });
+  assert.strictEqual(hits.get('/shoe.png'), 1);
+});
+
+test('retries server errors', async () => {
+  const report = await renderBatch({
+    ...dryRunOptions(dir, { force: true, downloadRetries: 1 }),
+    rows: [{ product_id: 'prod001', 'Image 1': `${baseUrl}/flaky.png` }],
+  });
+  assert.strictEqual(report[0].status, 'dry-run');
+  assert.strictEqual(hits.get('/flaky.png'), 2);
+});
+
+test('reports failed downloads with the local pre-flight errors', async () => {
+  await assert.rejects(
+    renderBatch({
+      ...dryRunOptions(dir, { force: true }),
+      rows: [
+        { product_id: 'prod001', 'Image 1': `${baseUrl}/gone.png` },
+        { product_id: 'prod002', 'Image 1': `${baseUrl}/page.html` },
+        { product_id: 'prod003', 'Image 1': `${baseUrl}/fake.png` },
+        { product_id: 'prod004', 'Image 1': 'nowhere.png' },
+      ],
+    }),
+    error => {
+      const downloads = error.details.find(detail => detail.startsWith('Failed image downloads:'));
+      assert.ok(downloads, error.message);
+      assert.match(downloads, /gone\.png: HTTP 404/);
+      assert.match(downloads, /page\.html: not an image \(content-type text\/html\)/);
+      assert.match(downloads, /fake\.png: not a readable image/);
+      assert.ok(error.details.some(detail => detail.startsWith('Missing image files:') && detail.includes('nowhere.png')));
+      return true;
+    },
+  );
+  assert.strictEqual(hits.get('/gone.png'), 1, '404 is not retried');
+});
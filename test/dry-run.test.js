@@ -0,0 +1,139 @@
+// Dry runs: everything up to the Photoshop hand-off, with the bounds and validation faked from a fixture
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions, readPlan } = require('./helpers');
+
+const FIXTURE = {
+  bounds: { 'Image 1': { width: 200, height: 100 } },
+  templates: { missing: { missingLayers: ['Headline'] } },
+};
+
+let dir;
+before(async () => { dir = await createWorkspace(FIXTURE); });
+after(() => removeWorkspace(dir));
+
+test('writes the plan with a bounds step and a batch step', async () => {
+  const report = await renderBatch({
+    ...dryRunOptions(dir, { force: true }),
+    rows: [{ product_id: 'prod001', 'Image 1': 'shoe.png', txt_Title: 'Running Shoe' }],
+  });
+
+  assert.deepStrictEqual(report.map(row => [row.productId, row.status]), [['prod001', 'dry-run']]);
+  const plan = readPlan(dir);
+  assert.strictEqual(plan.executor, 'dry-run');
+  assert.deepStrictEqual(plan.steps.map(step => step.kind), ['bounds', 'batch']);
+  assert.deepStrictEqual(plan.steps[0].requiredLayers.sort(), ['Image 1', 'Title']);
+  assert.deepStrictEqual(plan.steps[1].rows.map(row => row.productId), ['prod001']);
+  plan.steps.forEach(step => assert.ok(fs.existsSync(step.script), `${step.script} exists`));
+});
+
+test('resizes images to the bounds from the fixture', async () => {
+  const resized = [];
+  await renderBatch({
+    ...dryRunOptions(dir, { force: true, fit: 'contain' }),
+    rows: [{ product_id: 'prod001', 'Image 1': 'shoe.png' }],
+  }).on('resized', event => resized.push(event));
+
+  assert.strictEqual(resized.length, 1);
+  assert.deepStrictEqual([resized[0].width, resized[0].height], [200, 100]);
+  const metadata = await sharp(resized[0].path).metadata();
+  assert.deepStrictEqual([metadata.width, metadata.height], [200, 100]);
+});
+
+test('rejects the run when the fixture reports missing layers', async () => {
+  await fs.copy(`${dir}/template.psd`, `${dir}/missing.psd`);
+  await assert.rejects(
+    renderBatch({
+      ...dryRunOptions(dir, { template: `${dir}/missing.psd`, force: true }),
+      rows: [{ product_id: 'prod001', Headline: 'Sale' }],
+    }),
+    error => /Required layers are missing/.test(error.message) && /missing\.psd: Missing required layers: Headline/.test(error.message),
+  );
+});
+
+test('lists every pre-flight problem in the error', async () => {
+  await assert.rejects(
+    renderBatch({
+      ...dryRunOptions(dir, { force: true }),
+      rows: [{ product_id: 'prod001', 'Image 1': 'nowhere.png', show_Badge: 'maybe' }],
+    }),
+    error => error.message.includes(`Image 1: ${dir}/images/nowhere.png`)
+      && error.message.includes('Product prod001, show_Badge')
+      && error.details.length === 2,
+  );
+});
+
+test('escapes cell values in the generated JSX', async () => {
+  await renderBatch({
+    ...dryRunOptions(dir, { force: true }),
+    rows: [{ product_id: 'prod001', txt_Title: 'Say "hi" \\ 🎉\nnext line </script>' }],
+  });
+
+  const batchStep = readPlan(dir).steps.find(step => step.kind === 'batch');
+  const script = fs.readFileSync(batchStep.script, 'utf-8');
+  assert.match(script, /^[\x00-\x7f]*$/, 'the script is pure ASCII');
+  assert.ok(script.includes('"Say \\"hi\\" \\\\ \\uD83C\\uDF89\\rnext line \\u003C/script\\u003E"'), 'the title is one escaped string literal');
+});
+
+test('keeps the intermediate files in the --temp folder', async () => {
+  await renderBatch({
+    ...dryRunOptions(dir, { force: true, temp: `${dir}/scratch` }),
+    rows: [{ product_id: 'prod001', 'Image 1': 'shoe.png' }],
+  });
+
+  const plan = fs.readJsonSync(`${dir}/scratch/dry-run/plan.json`);
+  assert.ok(plan.steps.every(step => step.script.startsWith(`${dir}/scratch/`)));
+  assert.ok(fs.existsSync(`${dir}/scratch/resized`));
+});
+
+test('retries the rows of a timed out chunk from a fresh template copy and merges the results', async () => {
+  await fs.writeJson(`${dir}/fixture.json`, { ...FIXTURE, timeouts: { prod002: 1 } });
+  try {
+    const report = await renderBatch({
+      ...dryRunOptions(dir, { force: true, chunkSize: 2, retries: 1 }),
+      rows: ['prod001', 'prod002', 'prod003'].map(id => ({ product_id: id, 'Image 1': 'shoe.png' })),
+    });
+
+    assert.deepStrictEqual(report.map(row => [row.productId, row.status, row.attempts]),
+      [['prod001', 'dry-run', 1], ['prod002', 'dry-run', 2], ['prod003', 'dry-run', 1]]);
+    const batches = readPlan(dir).steps.filter(step => step.kind === 'batch');
+    assert.deepStrictEqual(batches.map(step => [step.chunk, step.attempt, path.basename(step.resultsPath)]), [
+      [1, 1, 'results_chunk001.json'],
+      [1, 2, 'results_chunk001_a2.json'],
+      [2, 1, 'results_chunk002.json'],
+    ]);
+    assert.deepStrictEqual(batches[1].rows.map(row => row.productId), ['prod002']);
+    const retryScript = fs.readFileSync(batches[1].script, 'utf-8');
+    assert.match(retryScript, /template_prod002_a2\.psd/);
+    assert.ok(fs.existsSync(`${dir}/temp/templates`), 'the template copies are kept in the temp folder');
+  } finally {
+    await fs.writeJson(`${dir}/fixture.json`, FIXTURE);
+  }
+});
+
+test('rejects rows that share a product_id', async () => {
+  await assert.rejects(
+    renderBatch({
+      ...dryRunOptions(dir, { force: true, name: '{product_id}_{Image 1}' }),
+      rows: [
+        { product_id: 'prod001', 'Image 1': 'shoe.png' },
+        { product_id: 'prod001', 'Image 1': 'shoe-red.png' },
+      ],
+    }),
+    error => error.details.includes('Duplicate product_id values:\n  prod001 (2 rows)'),
+  );
+});
+
+test('rejects clip URLs, as only images are downloaded', async () => {
+  await assert.rejects(
+    renderBatch({
+      ...dryRunOptions(dir, { force: true }),
+      rows: [{ product_id: 'prod001', video_Broll: 'https://example.com/broll.mp4' }],
+    }),
+    error => error.details.includes('Video clips must be local files below --images, URLs are not downloaded:\n  Product prod001, video_Broll: https://example.com/broll.mp4'),
+  );
+});
@@ -0,0 +1,35 @@
+// The command executor hands the generated JSX to any program through the shell
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions } = require('./helpers');
+
+let dir;
+before(async () => {
+  dir = await createWorkspace();
+  // Stand-in for Photoshop that records the script path it got and fails
+  await fs.outputFile(path.join(dir, 'record.js'),
+    "require('fs').writeFileSync(process.env.RECORD_FILE, process.argv[2]); process.exit(1);\n");
+});
+after(() => removeWorkspace(dir));
+
+test('passes script paths with quotes and dollar signs to the command unchanged', { skip: process.platform === 'win32' }, async () => {
+  const temp = path.join(dir, "it's $HOME `id`");
+  process.env.RECORD_FILE = path.join(dir, 'recorded.txt');
+  try {
+    await assert.rejects(
+      renderBatch({
+        ...dryRunOptions(dir, { force: true, temp }),
+        executor: 'command',
+        executorCommand: `"${process.execPath}" "${path.join(dir, 'record.js')}" {script}`,
+        rows: [{ product_id: 'prod001', 'Image 1': 'shoe.png' }],
+      }),
+      /Error executing Photoshop script via/,
+    );
+    assert.strictEqual(fs.readFileSync(process.env.RECORD_FILE, 'utf-8'), path.join(temp, 'extractBoundsAndValidate_temp.jsx'));
+  } finally {
+    delete process.env.RECORD_FILE;
+  }
+});
@@ -0,0 +1,47 @@
+// Shared setup of the tests: a scratch folder with a template, an image and a dry-run fixture
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// Create a scratch folder and make it the current directory, so relative paths and the default temp/ folder stay inside it.
+// The template is never opened: the dry-run executor fakes what Photoshop would write from the fixture.
+async function createWorkspace(fixture = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'psd-to-mp4-test-'));
+  process.chdir(dir);
+  await fs.outputFile(path.join(dir, 'template.psd'), 'placeholder PSD');
+  await fs.ensureDir(path.join(dir, 'images'));
+  await sharp({ create: { width: 400, height: 300, channels: 3, background: '#336699' } }).png().toFile(path.join(dir, 'images', 'shoe.png'));
+  await fs.writeJson(path.join(dir, 'fixture.json'), fixture);
+  return dir;
+}
+
+async function removeWorkspace(dir) {
+  process.chdir(os.tmpdir());
+  await fs.remove(dir);
+}
+
+// renderBatch options of a dry run in the workspace
+function dryRunOptions(dir, options = {}) {
+  return {
+    template: path.join(dir, 'template.psd'),
+    images: path.join(dir, 'images'),
+    out: path.join(dir, 'out'),
+    report: path.join(dir, 'report'),
+    executor: 'dry-run',
+    dryRunFixture: path.join(dir, 'fixture.json'),
+    temp: path.join(dir, 'temp'),
+    ...options,
+  };
+}
+
+function readPlan(dir) {
+  return fs.readJsonSync(path.join(dir, 'temp', 'dry-run', 'plan.json'));
+}
+
+module.exports = {
+  createWorkspace,
+  removeWorkspace,
+  dryRunOptions,
+  readPlan,
+};
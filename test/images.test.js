@@ -0,0 +1,64 @@
+// Image fit modes, pad colours and crop focus of the resized copies
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const sharp = require('sharp');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions } = require('./helpers');
+
+let dir;
+before(async () => {
+  dir = await createWorkspace({ bounds: { 'Image 1': { width: 100, height: 100 } } });
+  // 400x200: red on the left half, blue on the right half
+  const half = { width: 200, height: 200, channels: 3 };
+  await sharp({ create: { width: 400, height: 200, channels: 3, background: '#0000ff' } })
+    .composite([{ input: { create: { ...half, background: '#ff0000' } }, left: 0, top: 0 }])
+    .png()
+    .toFile(path.join(dir, 'images', 'split.png'));
+});
+after(() => removeWorkspace(dir));
+
+async function resize(options, cells = {}) {
+  const resized = [];
+  await renderBatch({
+    ...dryRunOptions(dir, { force: true, ...options }),
+    rows: [{ product_id: 'prod001', 'Image 1': 'split.png', ...cells }],
+  }).on('resized', event => resized.push(event));
+  return resized[0].path;
+}
+
+async function pixel(imagePath, x, y) {
+  const { data, info } = await sharp(imagePath).raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return Array.from(data.slice(offset, offset + info.channels));
+}
+
+test('letterboxes with the pad colour for contain', async () => {
+  const imagePath = await resize({ fit: 'contain', padColor: '#00ff00' });
+  assert.deepStrictEqual(await pixel(imagePath, 50, 0), [0, 255, 0, 255]);
+  assert.deepStrictEqual((await pixel(imagePath, 10, 50)).slice(0, 3), [255, 0, 0]);
+});
+
+test('crops around the focus for cover', async () => {
+  assert.deepStrictEqual((await pixel(await resize({ fit: 'cover', focus: 'left' }), 90, 50)).slice(0, 3), [255, 0, 0]);
+  assert.deepStrictEqual((await pixel(await resize({ fit: 'cover', focus: 'right' }), 10, 50)).slice(0, 3), [0, 0, 255]);
+  // A focal point at 60% across: the crop spans the middle, red on the left and blue on the right
+  const focal = await resize({ fit: 'cover', focus: '0.6,0.5' });
+  assert.deepStrictEqual((await pixel(focal, 5, 50)).slice(0, 3), [255, 0, 0]);
+  assert.deepStrictEqual((await pixel(focal, 95, 50)).slice(0, 3), [0, 0, 255]);
+});
+
+test('lets companion columns override the fit options', async () => {
+  const imagePath = await resize({ fit: 'contain' }, { 'Image 1__fit': 'fill' });
+  const metadata = await sharp(imagePath).metadata();
+  assert.deepStrictEqual([metadata.width, metadata.height], [100, 100]);
+  assert.deepStrictEqual((await pixel(imagePath, 0, 0)).slice(0, 3), [255, 0, 0]);
+  assert.deepStrictEqual((await pixel(imagePath, 99, 99)).slice(0, 3), [0, 0, 255]);
+});
+
+test('rejects invalid fit options before the run', async () => {
+  await assert.rejects(
+    resize({}, { 'Image 1__fit': 'stretch' }),
+    error => error.details.includes('Invalid image fit options:\n  Product prod001, Image 1: invalid fit "stretch" (supported: contain, cover, fill, inside)'),
+  );
+});
@@ -0,0 +1,59 @@
+// Template inspection and the starter CSV, with the layer manifest faked by the dry-run fixture
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { inspectTemplate } = require('..');
+const { createWorkspace, removeWorkspace } = require('./helpers');
+
+const INSPECT = {
+  document: 'template.psd',
+  timeline: {},
+  layers: [
+    { name: 'Image 1', path: 'Image 1', kind: 'smartobject', visible: true, smartObject: { layers: [] } },
+    { name: 'Badge', path: 'Badge', kind: 'smartobject', visible: true, smartObject: { layers: [{ name: 'Label', kind: 'text' }] } },
+    { name: 'Copy', path: 'Copy', kind: 'group', visible: true, children: [
+      { name: 'Title', path: 'Copy/Title', kind: 'text', visible: true, text: { contents: 'Title' } },
+      { name: 'duration', path: 'Copy/duration', kind: 'text', visible: true, text: { contents: '10s' } },
+      { name: 'Hero', path: 'Copy/Hero', kind: 'text', visible: true, text: { contents: 'Hero' } },
+    ] },
+  ],
+};
+
+let dir;
+before(async () => { dir = await createWorkspace({ inspect: INSPECT }); });
+after(() => removeWorkspace(dir));
+
+function inspectOptions(options = {}) {
+  return {
+    template: path.join(dir, 'template.psd'),
+    json: path.join(dir, 'template.layers.json'),
+    starterCsv: path.join(dir, 'starter.csv'),
+    executor: 'dry-run',
+    dryRunFixture: path.join(dir, 'fixture.json'),
+    temp: path.join(dir, 'temp'),
+    ...options,
+  };
+}
+
+test('writes the layer manifest and a starter CSV with a column per layer', async () => {
+  const manifest = await inspectTemplate(inspectOptions());
+
+  assert.deepStrictEqual(manifest.layers, INSPECT.layers);
+  assert.deepStrictEqual(fs.readJsonSync(path.join(dir, 'template.layers.json')).layers, INSPECT.layers);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'starter.csv'), 'utf-8'),
+    'id,product_id,output,Image 1,txt_Badge,Title,duration_layer,Hero\n');
+});
+
+test('gives layers named like a reserved or ignored column a column of their own in the mapping', async () => {
+  await fs.writeJson(path.join(dir, 'mapping.json'), { columns: { Hero: { type: 'ignore' } } });
+  await inspectTemplate(inspectOptions({ mapping: path.join(dir, 'mapping.json') }));
+
+  assert.match(fs.readFileSync(path.join(dir, 'starter.csv'), 'utf-8'), /,Title,duration_layer,Hero_layer\n$/);
+  assert.deepStrictEqual(fs.readJsonSync(path.join(dir, 'starter.mapping.json')), {
+    columns: {
+      duration_layer: { layer: 'Copy/duration', type: 'text' },
+      Hero_layer: { layer: 'Copy/Hero', type: 'text' },
+    },
+  });
+});
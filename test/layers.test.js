@@ -0,0 +1,41 @@
+// Layer operations from show_, color_, opacity_ and variant_ columns
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions, readPlan } = require('./helpers');
+
+let dir;
+before(async () => { dir = await createWorkspace(); });
+after(() => removeWorkspace(dir));
+
+test('writes the layer operations of every filled cell into the script', async () => {
+  await renderBatch({
+    ...dryRunOptions(dir, { force: true }),
+    rows: [{ product_id: 'prod001', show_Badge: 'no', show_Ribbon: '', color_Title: '#f80', opacity_Logo: '80%', variant_Background: 'Summer' }],
+  });
+
+  const [bounds, batch] = readPlan(dir).steps;
+  assert.deepStrictEqual(bounds.requiredLayers.sort(), ['Background', 'Background/Summer', 'Badge', 'Logo', 'Ribbon', 'Title']);
+  const script = fs.readFileSync(batch.script, 'utf-8');
+  assert.match(script, /findLayerByPath\(doc, "Badge"\);\s+if \(!layer\) throw "Layer not found";\s+layer\.visible = false;/);
+  assert.match(script, /textColor\.rgb\.hexValue = "FF8800";/);
+  assert.match(script, /rgb\.putDouble\(charIDToTypeID\("Grn "\), 136\);/);
+  assert.match(script, /findLayerByPath\(doc, "Logo"\);\s+if \(!layer\) throw "Layer not found";\s+layer\.opacity = 80;/);
+  assert.match(script, /layer\.layers\[i\]\.visible = layer\.layers\[i\]\.name === "Summer";/);
+  // An empty cell leaves the layer as it is in the template
+  assert.doesNotMatch(script, /"show_Ribbon"/);
+});
+
+test('rejects values the layer operations cannot use', async () => {
+  await assert.rejects(
+    renderBatch({
+      ...dryRunOptions(dir, { force: true }),
+      rows: [{ product_id: 'prod001', show_Badge: 'maybe', color_Title: 'orange', opacity_Logo: '120' }],
+    }),
+    error => error.details.includes('Invalid layer values:\n'
+      + '  Product prod001, show_Badge: "maybe" is not a visibility value (use 1/true/yes or 0/false/no)\n'
+      + '  Product prod001, color_Title: "orange" is not a hex colour like #ff8800\n'
+      + '  Product prod001, opacity_Logo: "120" is not an opacity between 0 and 100'),
+  );
+});
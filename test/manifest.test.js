@@ -0,0 +1,52 @@
+// Resumable runs: the manifest skips rows whose outputs are up to date
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions } = require('./helpers');
+
+let dir;
+before(async () => {
+  dir = await createWorkspace({
+    bounds: { 'Image 1': { width: 200, height: 100 } },
+    results: { prod001: { status: 'ok', psdSaved: true }, prod002: { status: 'failed', errors: ['Render failed'] } },
+  });
+});
+after(() => removeWorkspace(dir));
+
+const ROWS = [
+  { product_id: 'prod001', 'Image 1': 'shoe.png', txt_Title: 'Running Shoe' },
+  { product_id: 'prod002', 'Image 1': 'shoe.png', txt_Title: 'Trail Shoe' },
+];
+
+async function render(options = {}, rows = ROWS) {
+  const report = await renderBatch({ ...dryRunOptions(dir, options), rows });
+  return report.map(row => [row.productId, row.status, row.skipReason]);
+}
+
+test('skips rows whose outputs are up to date until a cell changes or --force is set', async () => {
+  const first = await renderBatch({ ...dryRunOptions(dir), rows: ROWS });
+  // The dry run writes no files, so stand in for the PSD Photoshop would have saved
+  await fs.outputFile(first[0].psdPath, 'rendered PSD');
+
+  const manifest = fs.readJsonSync(path.join(dir, 'report', 'manifest.json'));
+  assert.deepStrictEqual(Object.keys(manifest.rows), ['prod001', 'prod002']);
+  assert.deepStrictEqual(manifest.rows.prod001.outputs, [first[0].psdPath]);
+
+  assert.deepStrictEqual(await render(), [['prod002', 'failed', undefined], ['prod001', 'skipped', 'outputs are up to date']]);
+  assert.deepStrictEqual(await render({ force: true }), [['prod001', 'ok', undefined], ['prod002', 'failed', undefined]]);
+  assert.deepStrictEqual(await render({ onlyFailed: true }), [['prod002', 'failed', undefined], ['prod001', 'skipped', 'did not fail in the previous run']]);
+
+  const changed = [{ ...ROWS[0], txt_Title: 'Running Shoe 2' }, ROWS[1]];
+  assert.deepStrictEqual(await render({}, changed), [['prod001', 'ok', undefined], ['prod002', 'failed', undefined]]);
+});
+
+test('renders a row again when its output is gone', async () => {
+  const [row] = await renderBatch({ ...dryRunOptions(dir, { force: true }), rows: ROWS.slice(0, 1) });
+  await fs.outputFile(row.psdPath, 'rendered PSD');
+  assert.deepStrictEqual(await render({}, ROWS.slice(0, 1)), [['prod001', 'skipped', 'outputs are up to date']]);
+
+  await fs.remove(row.psdPath);
+  assert.deepStrictEqual(await render({}, ROWS.slice(0, 1)), [['prod001', 'ok', undefined]]);
+});
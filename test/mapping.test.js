@@ -0,0 +1,60 @@
+// Column mapping files: columns pointed at layers by name or path, with explicit types
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions, readPlan } = require('./helpers');
+
+const MAPPING = `
+columns:
+  hero: { layer: "Group/Hero/Image", type: image, options: { fit: fill } }
+  headline: { layer: Title, type: smart-text }
+  sale_badge: { layer: "Badges/SALE", type: visibility }
+  notes: { type: ignore }
+`;
+
+let dir;
+before(async () => {
+  dir = await createWorkspace({ bounds: { 'Group/Hero/Image': { width: 120, height: 80 } } });
+  await fs.outputFile(path.join(dir, 'mapping.yaml'), MAPPING);
+});
+after(() => removeWorkspace(dir));
+
+test('targets the mapped layers and ignores ignored columns', async () => {
+  const resized = [];
+  await renderBatch({
+    ...dryRunOptions(dir, { force: true, mapping: path.join(dir, 'mapping.yaml') }),
+    rows: [{ product_id: 'prod001', hero: 'shoe.png', headline: 'Sale', sale_badge: 'yes', notes: 'internal' }],
+  }).on('resized', event => resized.push(event));
+
+  const [bounds, batch] = readPlan(dir).steps;
+  assert.deepStrictEqual(bounds.requiredLayers.sort(), ['Badges/SALE', 'Group/Hero/Image', 'Title']);
+  assert.deepStrictEqual(resized.map(event => [event.column, event.width, event.height]), [['hero', 120, 80]]);
+
+  const script = fs.readFileSync(batch.script, 'utf-8');
+  assert.match(script, /findLayerByPath\(doc, "Group\/Hero\/Image"\)/);
+  assert.match(script, /"Badges\/SALE"/);
+  assert.doesNotMatch(script, /internal/);
+});
+
+test('lists every problem of an invalid mapping file', async () => {
+  const mappingPath = path.join(dir, 'invalid.json');
+  await fs.writeJson(mappingPath, { columns: { hero: { layer: '', type: 'picture' }, price: 42 } });
+  await assert.rejects(
+    renderBatch({ ...dryRunOptions(dir, { mapping: mappingPath }), rows: [{ product_id: 'prod001' }] }),
+    { message: `❌ Invalid mapping file ${mappingPath}:\n`
+      + '  hero: unknown type "picture" (supported: image, video, smart-text, text, visibility, color, opacity, variant, timing, ignore)\n'
+      + '  hero: "layer" must be a non-empty string\n'
+      + '  price: expected a layer name or an object' },
+  );
+});
+
+test('names the mapping file it could not read', async () => {
+  const mappingPath = path.join(dir, 'broken.yml');
+  await fs.outputFile(mappingPath, 'columns: [unclosed');
+  await assert.rejects(
+    renderBatch({ ...dryRunOptions(dir, { mapping: mappingPath }), rows: [{ product_id: 'prod001' }] }),
+    error => error.message.startsWith(`❌ Could not read mapping file ${mappingPath}: `),
+  );
+});
@@ -0,0 +1,51 @@
+// Output names from --name / --psd-name patterns, and the collision check
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions } = require('./helpers');
+
+let dir;
+before(async () => { dir = await createWorkspace(); });
+after(() => removeWorkspace(dir));
+
+const RENDITIONS = [{ name: 'feed', width: 1080, height: 1080 }, { name: 'story', width: 1080, height: 1920 }];
+
+test('names outputs from the pattern with filters, rendition tokens and a safe file name', async () => {
+  const [row] = await renderBatch({
+    ...dryRunOptions(dir, { force: true, name: '{locale|upper}_{title|slug}_{width}x{height}', psdName: '{template}/{product_id}: master' }),
+    renditions: RENDITIONS,
+    rows: [{ product_id: 'prod001', locale: 'de', title: 'Crème Brûlée: 50% off!' }],
+  });
+
+  const out = path.join(dir, 'out');
+  assert.deepStrictEqual(row.videos.map(video => video.path),
+    [path.join(out, 'DE_creme-brulee-50-off_1080x1080.mp4'), path.join(out, 'DE_creme-brulee-50-off_1080x1920.mp4')]);
+  assert.strictEqual(row.psdPath, path.join(out, 'template-prod001- master.psd'));
+});
+
+test('appends the rendition suffix when the pattern has no rendition token', async () => {
+  const [row] = await renderBatch({
+    ...dryRunOptions(dir, { force: true, name: '{date:YYYY}_{product_id}', export: true }),
+    renditions: RENDITIONS,
+    rows: [{ product_id: 'prod001' }],
+  });
+  const year = new Date().getFullYear();
+  assert.deepStrictEqual(row.videos.map(video => path.basename(video.path)), [`${year}_prod001_feed.mp4`, `${year}_prod001_story.mp4`]);
+  assert.strictEqual(row.psdPath, null);
+});
+
+test('rejects unknown tokens and outputs that would overwrite each other', async () => {
+  await assert.rejects(
+    renderBatch({ ...dryRunOptions(dir, { name: '{sku}_{title|camel}' }), rows: [{ product_id: 'prod001', title: 'Shoe' }] }),
+    error => error.details.includes('Invalid output name pattern:\n'
+      + '  "{sku}_{title|camel}": unknown token {sku} (not a CSV column, template, rendition, width, height, format or date)\n'
+      + '  "{sku}_{title|camel}": unknown filter |camel (supported: slug, lower, upper)'),
+  );
+  await assert.rejects(
+    renderBatch({ ...dryRunOptions(dir, { name: '{title}' }), rows: [{ product_id: 'prod001', title: 'Shoe' }, { product_id: 'prod002', title: 'SHOE' }] }),
+    error => error.details.includes('Output name collisions (make --name unique per row, e.g. include {product_id}):\n'
+      + `  ${path.join(dir, 'out', 'SHOE.psd')}: products prod001 and prod002\n`
+      + `  ${path.join(dir, 'out', 'SHOE.mp4')}: products prod001 and prod002`),
+  );
+});
@@ -0,0 +1,57 @@
+// Command line parsing: boolean flags, positional arguments and the config file
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { parseOptions } = require('../lib/options');
+
+let dir;
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'psd-to-mp4-options-'));
+  process.chdir(dir);
+});
+after(async () => {
+  process.chdir(os.tmpdir());
+  await fs.remove(dir);
+});
+
+test('a boolean flag before a positional argument does not take it as its value', () => {
+  const watch = parseOptions(['watch', '--verify', 'hot']);
+  assert.strictEqual(watch.command, 'watch');
+  assert.deepStrictEqual(watch.args, ['hot']);
+  assert.strictEqual(watch.options.verify, true);
+
+  const exported = parseOptions(['--export', 'watch', 'hot']);
+  assert.strictEqual(exported.command, 'watch');
+  assert.deepStrictEqual(exported.args, ['hot']);
+  assert.strictEqual(exported.options.export, true);
+});
+
+test('boolean flags accept a yes/no value and --no-<flag>', () => {
+  assert.strictEqual(parseOptions(['--verify=false']).options.verify, false);
+  assert.strictEqual(parseOptions(['--verify=no']).options.verify, false);
+  assert.strictEqual(parseOptions(['--verify', 'no']).options.verify, false);
+  assert.strictEqual(parseOptions(['--run', 'false']).options.run, false);
+  assert.strictEqual(parseOptions(['--no-run']).options.run, false);
+  assert.strictEqual(parseOptions(['--autofit', 'yes', 'inspect']).options.autofit, true);
+  assert.throws(() => parseOptions(['--verify=maybe']), /Invalid --verify "maybe"/);
+});
+
+test('boolean flags that are not given keep the config file values', async () => {
+  const configPath = path.join(dir, 'config.json');
+  await fs.writeJson(configPath, { options: { verify: true, run: false } });
+
+  const { options } = parseOptions(['--config', configPath]);
+  assert.strictEqual(options.verify, true);
+  assert.strictEqual(options.run, false);
+  assert.strictEqual(options.export, false);
+  assert.strictEqual(parseOptions(['--config', configPath, '--no-verify']).options.verify, false);
+});
+
+test('string options still take the next argument', () => {
+  const { command, options } = parseOptions(['--csv', 'data.csv', '--width', '1080', 'render']);
+  assert.strictEqual(command, 'render');
+  assert.strictEqual(options.csv, path.resolve('data.csv'));
+  assert.strictEqual(options.width, 1080);
+});
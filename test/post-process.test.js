@@ -0,0 +1,81 @@
+// Post-processing: the ffmpeg steps run on every exported video, with a stand-in for ffmpeg
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions } = require('./helpers');
+
+// Records its arguments and writes the output file, the last argument; fails for .webm outputs
+const FFMPEG = `#!${process.execPath}
+const fs = require('fs');
+const args = process.argv.slice(2);
+fs.appendFileSync(__dirname + '/ffmpeg.log', JSON.stringify(args) + '\\n');
+const output = args[args.length - 1];
+if (output.endsWith('.webm')) { console.error('Unknown encoder libvpx-vp9'); process.exit(1); }
+if (!args.includes('-version')) fs.writeFileSync(output, 'video');
+`;
+
+let dir;
+let ffmpeg;
+before(async () => {
+  dir = await createWorkspace();
+  const video = status => ({ status, videos: [{ rendition: 'default', path: path.join(dir, 'out', 'template_prod001.mp4'), exported: true }] });
+  await fs.writeJson(path.join(dir, 'fixture.json'), { results: { prod001: video('ok') } });
+  ffmpeg = path.join(dir, 'ffmpeg.js');
+  await fs.outputFile(ffmpeg, FFMPEG, { mode: 0o755 });
+  await fs.outputFile(path.join(dir, 'images', 'music.wav'), 'audio');
+});
+after(() => removeWorkspace(dir));
+
+async function postProcess(steps) {
+  await fs.writeJson(path.join(dir, 'post.json'), { steps });
+  await fs.remove(path.join(dir, 'ffmpeg.log'));
+  const [row] = await renderBatch({
+    ...dryRunOptions(dir, { force: true, postProcess: path.join(dir, 'post.json'), ffmpeg }),
+    rows: [{ product_id: 'prod001', audio: 'music.wav' }],
+  });
+  const calls = fs.readFileSync(path.join(dir, 'ffmpeg.log'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  return { row, calls };
+}
+
+test('runs the steps in order with their ffmpeg arguments', async () => {
+  const { row, calls } = await postProcess([
+    { type: 'audio', volume: 0.5 },
+    { type: 'thumbnail', at: 1.5, width: 320 },
+    { type: 'preview', format: 'webp', duration: 2 },
+  ]);
+
+  const video = path.join(dir, 'out', 'template_prod001.mp4');
+  const base = path.join(dir, 'out', 'template_prod001');
+  assert.strictEqual(row.status, 'ok');
+  assert.deepStrictEqual(row.postOutputs, [`${base}_poster.jpg`, `${base}_preview.webp`]);
+  assert.deepStrictEqual(calls.map(args => args.slice(4)), [
+    ['-i', video, '-i', path.join(dir, 'images', 'music.wav'), '-map', '0:v:0', '-map', '1:a:0', '-c:v', 'copy',
+      '-af', 'volume=0.5', '-c:a', 'aac', '-b:a', '192k', '-shortest', `${base}.tmp.mp4`],
+    ['-ss', '1.5', '-i', video, '-frames:v', '1', '-vf', 'scale=320:-2', `${base}_poster.jpg`],
+    ['-ss', '0', '-t', '2', '-i', video, '-vf', 'fps=12', '-c:v', 'libwebp', '-q:v', '70', '-loop', '0', '-an', `${base}_preview.webp`],
+  ]);
+  // The audio step rewrote the video in place
+  assert.ok(fs.existsSync(video));
+  assert.ok(!fs.existsSync(`${base}.tmp.mp4`));
+});
+
+test('fails the row when a step fails and skips the steps after it', async () => {
+  const { row, calls } = await postProcess([{ type: 'transcode', codec: 'vp9' }, { type: 'thumbnail' }]);
+
+  assert.strictEqual(row.status, 'failed');
+  assert.deepStrictEqual(row.errors, ['Post-processing (transcode) failed for template_prod001.mp4: Unknown encoder libvpx-vp9']);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('lists every problem of an invalid post-process file', async () => {
+  await fs.writeJson(path.join(dir, 'post.json'), ['thumbnail', { type: 'transcode', codec: 'av1' }, { type: 'preview', format: 'mp4', fps: 'fast' }]);
+  await assert.rejects(
+    renderBatch({ ...dryRunOptions(dir, { postProcess: path.join(dir, 'post.json'), ffmpeg }), rows: [{ product_id: 'prod001' }] }),
+    { message: `❌ Invalid post-process file ${path.join(dir, 'post.json')}:\n`
+      + '  step 2 (transcode): codec must be one of vp9, hevc, h264\n'
+      + '  step 3 (preview): format must be gif or webp\n'
+      + '  step 3 (preview): "fps" must be a number' },
+  );
+});
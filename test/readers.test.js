@@ -0,0 +1,54 @@
+// Data sources: CSV, TSV, JSON, NDJSON and XLSX files all become plain rows of strings
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions } = require('./helpers');
+
+let dir;
+before(async () => { dir = await createWorkspace(); });
+after(() => removeWorkspace(dir));
+
+async function readRows(file, options = {}) {
+  let rows;
+  await renderBatch({ ...dryRunOptions(dir, { force: true, run: false, csv: path.join(dir, file), ...options }) })
+    .on('read', event => { rows = event.rows; });
+  return rows;
+}
+
+test('reads TSV, JSON and NDJSON rows as strings', async () => {
+  await fs.outputFile(path.join(dir, 'data.tsv'), 'product_id\ttxt_Title\nprod001\tRunning, fast\n');
+  await fs.writeJson(path.join(dir, 'data.json'), { rows: [{ product_id: 'prod001', price: 29.9, sale: true, note: null }] });
+  await fs.outputFile(path.join(dir, 'data.ndjson'), '{"product_id":"prod001"," txt_Title ":"Shoe"}\n\n{"product_id":"prod002","tags":["a"]}\n');
+
+  assert.deepStrictEqual(await readRows('data.tsv'), [{ product_id: 'prod001', txt_Title: 'Running, fast' }]);
+  assert.deepStrictEqual(await readRows('data.json'), [{ product_id: 'prod001', price: '29.9', sale: 'true', note: '' }]);
+  assert.deepStrictEqual(await readRows('data.ndjson'), [{ product_id: 'prod001', txt_Title: 'Shoe' }, { product_id: 'prod002', tags: '["a"]' }]);
+});
+
+test('reads CSV files in other encodings and with other delimiters', async () => {
+  await fs.outputFile(path.join(dir, 'latin1.csv'), Buffer.from('product_id;txt_Title\nprod001;"Caf\xe9; cr\xe8me"\n', 'latin1'));
+  assert.deepStrictEqual(await readRows('latin1.csv', { encoding: 'windows-1252', delimiter: ';' }), [{ product_id: 'prod001', txt_Title: 'Café; crème' }]);
+});
+
+test('reads the chosen XLSX sheet with dates, formulas and rich text as strings', async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Notes').addRow(['ignore me']);
+  const sheet = workbook.addWorksheet('Products');
+  sheet.addRow(['product_id', 'launch', 'price', 'txt_Title']);
+  sheet.addRow(['prod001', new Date(Date.UTC(2026, 2, 1)), { formula: '20+9.99', result: 29.99 }, { richText: [{ text: 'Run' }, { font: { bold: true }, text: 'ning' }] }]);
+  sheet.addRow([]);
+  await workbook.xlsx.writeFile(path.join(dir, 'data.xlsx'));
+
+  const expected = [{ product_id: 'prod001', launch: '2026-03-01', price: '29.99', txt_Title: 'Running' }];
+  assert.deepStrictEqual(await readRows('data.xlsx', { sheet: 'Products' }), expected);
+  assert.deepStrictEqual(await readRows('data.xlsx', { sheet: '2' }), expected);
+  await assert.rejects(readRows('data.xlsx', { sheet: 'Prices' }), { message: `❌ Sheet "Prices" not found in ${path.join(dir, 'data.xlsx')}. Available sheets: Notes, Products` });
+});
+
+test('names the line of an invalid NDJSON row', async () => {
+  await fs.outputFile(path.join(dir, 'broken.ndjson'), '{"product_id":"prod001"}\n[1, 2]\n');
+  await assert.rejects(readRows('broken.ndjson'), { message: `❌ Line 2 of ${path.join(dir, 'broken.ndjson')} is not a row object` });
+});
@@ -0,0 +1,64 @@
+// Renditions: several videos per row, from a renditions file or the Node API
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions, readPlan } = require('./helpers');
+
+const RENDITIONS = `
+renditions:
+  - { name: feed, width: 1080, height: 1080 }
+  - { name: story, width: 1080, height: 1920, preset: "High Quality" }
+  - { name: master, format: QuickTime, suffix: "" }
+`;
+
+let dir;
+before(async () => {
+  dir = await createWorkspace({ bounds: { 'Image 1': { width: 200, height: 100 } } });
+  await fs.outputFile(path.join(dir, 'renditions.yaml'), RENDITIONS);
+});
+after(() => removeWorkspace(dir));
+
+test('exports one video per rendition of the renditions file', async () => {
+  const [row] = await renderBatch({
+    ...dryRunOptions(dir, { force: true, renditions: path.join(dir, 'renditions.yaml') }),
+    rows: [{ product_id: 'prod001', 'Image 1': 'shoe.png' }],
+  });
+
+  const out = path.join(dir, 'out');
+  assert.deepStrictEqual(row.videos.map(video => [video.rendition, video.path]), [
+    ['feed', path.join(out, 'template_prod001_feed.mp4')],
+    ['story', path.join(out, 'template_prod001_story.mp4')],
+    ['master', path.join(out, 'template_prod001.mov')],
+  ]);
+
+  const script = fs.readFileSync(readPlan(dir).steps[1].script, 'utf-8');
+  assert.match(script, /putInteger\(stringIDToTypeID\("height"\), 1920\)/);
+  assert.match(script, /putString\(stringIDToTypeID\("amePresetName"\), "High Quality"\)/);
+  assert.match(script, /putString\(stringIDToTypeID\("ameFormatName"\), "QuickTime"\)/);
+});
+
+test('takes renditions as an array in the Node API', async () => {
+  const [row] = await renderBatch({
+    ...dryRunOptions(dir, { force: true }),
+    renditions: [{ name: 'square', width: 600, height: 600, suffix: '_sq' }],
+    rows: [{ product_id: 'prod001', 'Image 1': 'shoe.png' }],
+  });
+  assert.deepStrictEqual(row.videos.map(video => path.basename(video.path)), ['template_prod001_sq.mp4']);
+});
+
+test('lists every problem of invalid renditions', async () => {
+  await assert.rejects(
+    renderBatch({
+      ...dryRunOptions(dir),
+      renditions: [{ width: 600 }, { name: 'a', suffix: '_x' }, { name: 'b', format: 'WebM' }, { name: 'c', suffix: '_x' }],
+      rows: [{ product_id: 'prod001' }],
+    }),
+    { message: '❌ Invalid renditions passed to renderBatch:\n'
+      + '  #1: "name" is required\n'
+      + '  #1: "width" and "height" must both be positive integers\n'
+      + '  b: invalid format "WebM" (supported: H.264, QuickTime)\n'
+      + '  c: suffix "_x" is used by another rendition of the same format' },
+  );
+});
@@ -0,0 +1,49 @@
+// The per-row report: report.json, report.csv and the row events, built from the results the scripts record
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions } = require('./helpers');
+
+const FIXTURE = {
+  bounds: { 'Image 1': { width: 200, height: 100 } },
+  results: {
+    prod001: { status: 'ok', psdSaved: true, layersReplaced: ['Image 1'], textReplaced: ['Title'] },
+    prod002: { status: 'failed', errors: ['Render failed (default): preset not found'] },
+    // The script stopped while the row was running
+    prod003: { status: 'running' },
+  },
+  timeouts: { prod004: 1 },
+};
+
+let dir;
+before(async () => { dir = await createWorkspace(FIXTURE); });
+after(() => removeWorkspace(dir));
+
+test('records every row in report.json and report.csv and emits its event', async () => {
+  const events = [];
+  const report = await renderBatch({
+    ...dryRunOptions(dir, { force: true }),
+    rows: ['prod001', 'prod002', 'prod003', 'prod004'].map(id => ({ product_id: id, 'Image 1': 'shoe.png', txt_Title: 'Shoe' })),
+  })
+    .on('rowExported', row => events.push(['rowExported', row.productId]))
+    .on('rowFailed', row => events.push(['rowFailed', row.productId]));
+
+  assert.deepStrictEqual(report.map(row => [row.productId, row.status]),
+    [['prod001', 'ok'], ['prod002', 'failed'], ['prod003', 'failed'], ['prod004', 'failed']]);
+  assert.deepStrictEqual(events, [['rowExported', 'prod001'], ['rowFailed', 'prod002'], ['rowFailed', 'prod003'], ['rowFailed', 'prod004']]);
+  assert.deepStrictEqual(report[0].layersReplaced, ['Image 1']);
+  assert.match(report[3].errors[0], /^No result recorded: .*timed out/);
+
+  const json = fs.readJsonSync(path.join(dir, 'report', 'report.json'));
+  assert.deepStrictEqual([json.executor, json.total, json.succeeded, json.skipped, json.failed], ['dry-run', 4, 1, 0, 3]);
+  assert.deepStrictEqual(json.rows, report);
+
+  const csv = fs.readFileSync(path.join(dir, 'report', 'report.csv'), 'utf-8').trim().split('\n');
+  assert.strictEqual(csv[0], 'product_id,status,template,output_dir,layers_replaced,text_replaced,layers_updated,psd_saved,psd_path,'
+    + 'video_exported,video_paths,post_outputs,violations,warnings,duration_ms,attempts,skip_reason,errors');
+  assert.strictEqual(csv.length, 5);
+  assert.ok(csv[2].startsWith('prod002,failed,'));
+  assert.ok(csv[2].endsWith(',1,,Render failed (default): preset not found'));
+});
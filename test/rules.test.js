@@ -0,0 +1,72 @@
+// Data rules: per-column checks before Photoshop runs; rows with errors are not rendered
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions, readPlan } = require('./helpers');
+
+const RULES = `
+columns:
+  product_id: { unique: true, regex: "^prod[0-9]+$" }
+  txt_Title: { required: true, maxLength: 12 }
+  locale: { allowed: [en, de], severity: warning }
+  Image 1: { minWidth: 300, aspect: "4:3" }
+`;
+
+const ROWS = [
+  { product_id: 'prod001', txt_Title: 'Running Shoe', locale: 'en', 'Image 1': 'shoe.png' },
+  { product_id: 'prod002', txt_Title: 'Lightweight Trail Shoe', locale: 'de', 'Image 1': 'shoe.png' },
+  { product_id: 'prod003', txt_Title: 'Sandal', locale: 'es', 'Image 1': 'shoe.png' },
+  { product_id: 'prod001', txt_Title: '', locale: 'en', 'Image 1': 'wide.png' },
+];
+
+let dir;
+let rules;
+before(async () => {
+  dir = await createWorkspace({ bounds: { 'Image 1': { width: 200, height: 100 } } });
+  rules = path.join(dir, 'rules.yaml');
+  await fs.outputFile(rules, RULES);
+  await sharp({ create: { width: 800, height: 200, channels: 3, background: '#ffffff' } }).png().toFile(path.join(dir, 'images', 'wide.png'));
+});
+after(() => removeWorkspace(dir));
+
+test('renders the rows that pass and reports the others with their findings', async () => {
+  const report = await renderBatch({ ...dryRunOptions(dir, { force: true, rules }), rows: ROWS });
+
+  assert.deepStrictEqual(readPlan(dir).steps[1].rows.map(row => row.productId), ['prod001', 'prod003']);
+  const byStatus = report.map(row => [row.productId, row.status, row.errors, row.warnings]);
+  assert.deepStrictEqual(byStatus, [
+    ['prod001', 'dry-run', [], []],
+    ['prod003', 'dry-run', [], ['locale: "es" is not one of en, de']],
+    ['prod002', 'failed', ['Data rule failed: txt_Title: 22 characters, max 12 ("Lightweight Trail Shoe")'], []],
+    ['prod001', 'failed', [
+      'Data rule failed: product_id: "prod001" is also used by row 1',
+      'Data rule failed: txt_Title: is required but empty',
+      'Data rule failed: Image 1: image aspect 800x200 (4.000) is not 4:3 within 1%',
+    ], []],
+  ]);
+});
+
+test('aborts the run under --strict', async () => {
+  await assert.rejects(
+    renderBatch({ ...dryRunOptions(dir, { force: true, rules, strict: true }), rows: ROWS }),
+    error => /Aborting: 2 row\(s\) break the data rules \(--strict\)/.test(error.message)
+      && error.details.length === 4
+      && error.details[0] === 'prod002 (row 2): txt_Title: 22 characters, max 12 ("Lightweight Trail Shoe")',
+  );
+});
+
+test('lists every problem of an invalid rules file', async () => {
+  const invalid = path.join(dir, 'invalid.json');
+  await fs.writeJson(invalid, { columns: { sku: { required: true, maxLen: 3, severity: 'fatal' }, locale: { allowed: 'en', regex: '[' } } });
+  await assert.rejects(
+    renderBatch({ ...dryRunOptions(dir, { rules: invalid }), rows: ROWS }),
+    error => error.message.startsWith(`❌ Invalid rules file ${invalid}:\n`
+      + '  sku: unknown check(s) maxLen (supported: required, maxLength, minLength, regex, allowed, unique, minWidth, minHeight, aspect, aspectTolerance, severity)\n'
+      + '  sku: severity must be "error" or "warning"\n'
+      + '  locale: "allowed" must be a list\n'
+      + '  locale: invalid regex [: '),
+  );
+});
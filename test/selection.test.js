@@ -0,0 +1,79 @@
+// Row selection: --ids, --rows, --where and --shard
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions } = require('./helpers');
+
+const ROWS = [
+  { product_id: 'prod001', locale: 'de', category: 'shoes', txt_Title: 'Laufschuh' },
+  { product_id: 'prod002', locale: 'en', category: 'shoes', txt_Title: 'Running Shoe' },
+  { product_id: 'prod003', locale: 'at', category: 'bags', txt_Title: 'Tasche' },
+  { product_id: 'prod004', locale: 'de', category: 'bags', txt_Title: 'Rucksack' },
+  { product_id: 'prod005', locale: 'fr', category: 'bags', txt_Title: 'Sac' },
+  { product_id: 'prod006', locale: 'de', category: 'hats', txt_Title: 'Mütze' },
+];
+
+let dir;
+before(async () => { dir = await createWorkspace(); });
+after(() => removeWorkspace(dir));
+
+// Product IDs rendered and { productId: skipReason } of the rows left out
+async function select(options) {
+  const report = await renderBatch({ ...dryRunOptions(dir, { force: true, ...options }), rows: ROWS });
+  const rendered = report.filter(row => row.status !== 'skipped').map(row => row.productId);
+  const skipped = Object.fromEntries(report.filter(row => row.status === 'skipped').map(row => [row.productId, row.skipReason]));
+  return { rendered, skipped };
+}
+
+test('--rows selects data rows by number', async () => {
+  assert.deepStrictEqual((await select({ rowRange: '2-3,5' })).rendered, ['prod002', 'prod003', 'prod005']);
+  assert.deepStrictEqual((await select({ rowRange: '-2' })).rendered, ['prod001', 'prod002']);
+  assert.deepStrictEqual((await select({ rowRange: '5-' })).rendered, ['prod005', 'prod006']);
+  assert.strictEqual((await select({ rowRange: '6' })).skipped.prod001, 'outside --rows 6');
+});
+
+test('--where matches cells, alternatives and negations', async () => {
+  assert.deepStrictEqual((await select({ where: 'locale=de' })).rendered, ['prod001', 'prod004', 'prod006']);
+  assert.deepStrictEqual((await select({ where: 'locale=de|at, category!=shoes' })).rendered, ['prod003', 'prod004', 'prod006']);
+  assert.strictEqual((await select({ where: 'locale=fr' })).skipped.prod001, 'does not match --where locale=fr');
+});
+
+test('--ids and the other options combine', async () => {
+  const { rendered, skipped } = await select({ ids: 'prod001,prod004,prod999', where: 'category=bags' });
+  assert.deepStrictEqual(rendered, ['prod004']);
+  assert.strictEqual(skipped.prod002, 'not in --ids');
+  assert.strictEqual(skipped.prod001, 'does not match --where category=bags');
+});
+
+test('--shard splits the rows into stable, disjoint shards', async () => {
+  const shards = [];
+  for (const shard of ['1/3', '2/3', '3/3']) shards.push((await select({ shard })).rendered);
+  assert.deepStrictEqual(shards.flat().sort(), ROWS.map(row => row.product_id));
+  assert.deepStrictEqual((await select({ shard: '2/3' })).rendered, shards[1]);
+});
+
+test('shards write their own report and manifest by default', async () => {
+  const out = path.join(dir, 'shared-out');
+  for (const shard of ['1/2', '2/2']) {
+    await renderBatch({ ...dryRunOptions(dir, { report: undefined, out, shard }), rows: ROWS });
+  }
+
+  const files = (await fs.readdir(out)).filter(name => /^(report|manifest)/.test(name)).sort();
+  assert.deepStrictEqual(files, ['manifest.1-of-2.json', 'manifest.2-of-2.json', 'report.1-of-2.csv', 'report.1-of-2.json', 'report.2-of-2.csv', 'report.2-of-2.json']);
+  const rendered = ['1-of-2', '2-of-2'].flatMap(shard => fs.readJsonSync(path.join(out, `report.${shard}.json`)).rows
+    .filter(row => row.status !== 'skipped').map(row => row.productId));
+  assert.deepStrictEqual(rendered.sort(), ROWS.map(row => row.product_id));
+});
+
+test('rejects invalid selections', async () => {
+  const run = options => renderBatch({ ...dryRunOptions(dir, options), rows: ROWS });
+  await assert.rejects(run({ rowRange: '5-2' }), /Invalid --rows "5-2"/);
+  await assert.rejects(run({ rowRange: 'first' }), /Invalid --rows "first"/);
+  await assert.rejects(run({ where: 'locale' }), /Invalid --where "locale"/);
+  await assert.rejects(run({ where: 'country=de' }), /unknown column "country"/);
+  await assert.rejects(run({ shard: '4/3' }), /Invalid --shard "4\/3"/);
+  await assert.rejects(run({ shard: '0/2' }), /Invalid --shard "0\/2"/);
+  await assert.rejects(run({ shard: 'half' }), /Invalid --shard "half"/);
+});
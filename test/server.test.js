@@ -0,0 +1,122 @@
+// Job server with the dry-run executor standing in for Photoshop
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const { resolveOptions } = require('../lib/options');
+const { createJobServer } = require('../lib/server');
+const { createWorkspace, removeWorkspace } = require('./helpers');
+
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+let dir;
+let server;
+let baseUrl;
+
+before(async () => {
+  dir = await createWorkspace({ bounds: { 'Image 1': { width: 200, height: 100 } } });
+  const { options } = resolveOptions({
+    templates: dir,
+    images: path.join(dir, 'images'),
+    jobs: path.join(dir, 'jobs'),
+    executor: 'dry-run',
+    dryRunFixture: path.join(dir, 'fixture.json'),
+  });
+  server = createJobServer({ options, logger: SILENT_LOGGER });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await removeWorkspace(dir);
+});
+
+async function request(method, url, body) {
+  const response = await fetch(baseUrl + url, { method, body: body === undefined ? undefined : JSON.stringify(body) });
+  return { status: response.status, body: await response.json() };
+}
+
+async function waitForJob(id) {
+  for (;;) {
+    const { body } = await request('GET', `/jobs/${id}`);
+    if (!['queued', 'running'].includes(body.status)) return body;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('runs a posted job and serves its status and report', async () => {
+  const posted = await request('POST', '/jobs', {
+    rows: [{ product_id: 'prod001', 'Image 1': 'shoe.png' }, { product_id: 'prod002', 'Image 1': 'shoe.png' }],
+    template: 'template.psd',
+    options: { rows: '2' },
+  });
+  assert.strictEqual(posted.status, 202);
+
+  const job = await waitForJob(posted.body.id);
+  assert.strictEqual(job.status, 'done');
+  assert.deepStrictEqual(job.rows, [{ productId: 'prod002', status: 'dry-run' }, { productId: 'prod001', status: 'skipped' }]);
+
+  const report = await request('GET', job.links.report);
+  assert.deepStrictEqual(report.body.rows.map(row => [row.productId, row.status, row.skipReason]),
+    [['prod002', 'dry-run', undefined], ['prod001', 'skipped', 'outside --rows 2']]);
+});
+
+test('reports what is wrong with a job that fails the pre-flight checks', async () => {
+  const posted = await request('POST', '/jobs', { rows: [{ product_id: 'prod001', 'Image 1': 'nowhere.png' }], template: 'template.psd' });
+  const job = await waitForJob(posted.body.id);
+
+  assert.strictEqual(job.status, 'failed');
+  assert.match(job.error, /nowhere\.png/);
+  assert.deepStrictEqual(job.errors, [`Missing image files:\n  Image 1: ${path.join(dir, 'images', 'nowhere.png')}`]);
+});
+
+test('cancels a queued job', async () => {
+  const rows = [{ product_id: 'prod001', 'Image 1': 'shoe.png' }];
+  const posted = await Promise.all([1, 2, 3].map(() => request('POST', '/jobs', { rows, template: 'template.psd' })));
+  const last = posted[2].body.id;
+  const cancelled = await request('POST', `/jobs/${last}/cancel`);
+  assert.strictEqual(cancelled.status, 200);
+  assert.strictEqual(cancelled.body.status, 'cancelled');
+  assert.strictEqual((await waitForJob(posted[1].body.id)).status, 'done');
+  assert.strictEqual((await request('GET', `/jobs/${last}`)).body.status, 'cancelled');
+  assert.strictEqual((await request('POST', `/jobs/${last}/cancel`)).status, 409);
+});
+
+test('rejects options the server sets itself', async () => {
+  const { status, body } = await request('POST', '/jobs', { rows: [], template: 'template.psd', options: { out: '/tmp' } });
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /out/);
+});
+
+test('rejects file and folder options of a job', async () => {
+  const { status, body } = await request('POST', '/jobs', { rows: [], template: 'template.psd', options: { mapping: '/etc/passwd' } });
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /mapping/);
+});
+
+test('rejects a template outside the templates folder', async () => {
+  for (const template of ['../x.psd', '/etc/x.psd']) {
+    const { status, body } = await request('POST', '/jobs', { rows: [], template });
+    assert.strictEqual(status, 400, template);
+    assert.match(body.error, /must be a file in the templates folder/);
+  }
+});
+
+test('answers a malformed path with 400', async () => {
+  const { status, body } = await request('GET', '/jobs/%E0');
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /Malformed path/);
+});
+
+test('answers a too large body with 413 and closes the connection', async () => {
+  const response = await new Promise((resolve, reject) => {
+    const req = http.request(`${baseUrl}/jobs`, { method: 'POST' }, resolve);
+    req.on('error', reject);
+    req.write(Buffer.alloc(21 * 1024 * 1024, 'a'));
+    req.end();
+  });
+  assert.strictEqual(response.statusCode, 413);
+  assert.strictEqual(response.headers.connection, 'close');
+  response.resume();
+});
@@ -0,0 +1,58 @@
+// Multi-template batches: a "template" column picks the PSD per row
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions, readPlan } = require('./helpers');
+
+let dir;
+before(async () => {
+  dir = await createWorkspace({
+    bounds: { 'Image 1': { width: 200, height: 100 } },
+    templates: { story: { bounds: { 'Image 1': { width: 90, height: 160 } } } },
+  });
+  await fs.outputFile(path.join(dir, 'templates', 'story.psd'), 'placeholder PSD');
+  await fs.outputFile(path.join(dir, 'templates', 'banner', 'template.psd'), 'placeholder PSD');
+});
+after(() => removeWorkspace(dir));
+
+test('checks every template once and renders each row with its own template', async () => {
+  const resized = {};
+  const report = await renderBatch({
+    ...dryRunOptions(dir, { force: true, templates: path.join(dir, 'templates') }),
+    rows: [
+      { product_id: 'prod001', template: '', 'Image 1': 'shoe.png' },
+      { product_id: 'prod001_story', template: 'story', 'Image 1': 'shoe.png' },
+      { product_id: 'prod002_story', template: 'story.psd', 'Image 1': 'shoe.png' },
+      { product_id: 'prod001_banner', template: 'banner/template.psd', 'Image 1': 'shoe.png' },
+    ],
+  }).on('resized', event => { resized[event.productId] = [event.width, event.height]; });
+
+  const story = path.join(dir, 'templates', 'story.psd');
+  const banner = path.join(dir, 'templates', 'banner', 'template.psd');
+  assert.deepStrictEqual(report.map(row => [row.productId, row.template]), [
+    ['prod001', path.join(dir, 'template.psd')],
+    ['prod001_story', story],
+    ['prod002_story', story],
+    ['prod001_banner', banner],
+  ]);
+  assert.deepStrictEqual(resized, { prod001: [200, 100], prod001_story: [90, 160], prod002_story: [90, 160], prod001_banner: [200, 100] });
+  assert.deepStrictEqual(report.map(row => path.basename(row.videos[0].path)),
+    ['template_prod001.mp4', 'story_prod001_story.mp4', 'story_prod002_story.mp4', 'template_prod001_banner.mp4']);
+
+  // Two templates called "template" still get their own bounds files
+  const bounds = readPlan(dir).steps.filter(step => step.kind === 'bounds');
+  assert.deepStrictEqual(bounds.map(step => step.templatePath), [path.join(dir, 'template.psd'), story, banner]);
+  assert.strictEqual(new Set(bounds.map(step => step.boundsOutPath)).size, 3);
+});
+
+test('lists missing templates in the pre-flight error', async () => {
+  await assert.rejects(
+    renderBatch({
+      ...dryRunOptions(dir, { force: true, templates: path.join(dir, 'templates') }),
+      rows: [{ product_id: 'prod001', template: 'square', 'Image 1': 'shoe.png' }],
+    }),
+    error => error.details.includes(`Missing templates:\n  Template PSD not found: ${path.join(dir, 'templates', 'square')}`),
+  );
+});
@@ -0,0 +1,45 @@
+// Text styling from companion columns and the mapping, and auto-fit from --autofit
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions, readPlan } = require('./helpers');
+
+let dir;
+before(async () => {
+  dir = await createWorkspace();
+  await fs.writeJson(path.join(dir, 'mapping.json'), { columns: { Price: { options: { font: 'Inter-Bold', align: 'right' } } } });
+});
+after(() => removeWorkspace(dir));
+
+async function renderScript(options, row) {
+  await renderBatch({ ...dryRunOptions(dir, { force: true, ...options }), rows: [{ product_id: 'prod001', ...row }] });
+  return fs.readFileSync(readPlan(dir).steps[1].script, 'utf-8');
+}
+
+test('styles text from companion columns, falling back to the mapping options', async () => {
+  const script = await renderScript({ mapping: path.join(dir, 'mapping.json') }, {
+    Title: 'Sale', Title__size: '48', Title__color: '#fff', Title__tracking: '-20', Title__align: 'centre',
+    Price: '$29', Price__align: 'left',
+  });
+
+  assert.ok(script.includes('__setText(textLayer, "Sale", { size: 48, color: "FFFFFF", tracking: -20, align: "CENTER" })'));
+  assert.ok(script.includes('__setText(textLayer, "$29", { font: "Inter-Bold", align: "LEFT" })'));
+});
+
+test('shrinks text with --autofit unless a cell turns it off', async () => {
+  const script = await renderScript({ autofit: true, minFontSize: 10 }, { Title: 'Sale', txt_Badge: 'New', txt_Badge__autofit: 'no', txt_Badge__layer: 'Label' });
+
+  assert.ok(script.includes('__setText(textLayer, "Sale", { autofit: true, minSize: 10 })'));
+  assert.ok(script.includes('__setText(lyr, "New", {})'));
+  assert.match(script, /"Label"/);
+});
+
+test('rejects invalid text options before the run', async () => {
+  await assert.rejects(
+    renderScript({}, { Title: 'Sale', Title__size: 'big', Title__align: 'middle', Title__autofit: 'maybe' }),
+    error => error.details.includes('Invalid text options:\n  Product prod001, Title: size "big" must be a positive number, '
+      + 'align "middle" must be one of left, center, right, justify, autofit "maybe" must be yes or no'),
+  );
+});
@@ -0,0 +1,42 @@
+// Timeline control per row: duration, work area and time_ layer moves
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions, readPlan } = require('./helpers');
+
+let dir;
+before(async () => { dir = await createWorkspace(); });
+after(() => removeWorkspace(dir));
+
+async function renderScript(options, row) {
+  await renderBatch({ ...dryRunOptions(dir, { force: true, ...options }), rows: [{ product_id: 'prod001', ...row }] });
+  return fs.readFileSync(readPlan(dir).steps[1].script, 'utf-8');
+}
+
+test('moves layers and then sets the duration and work area of the row', async () => {
+  const script = await renderScript({ duration: 10 }, { work_in: '1.5s', work_out: '8', time_Logo: '2', time_Logo__out: '-0.5', time_Title: '0' });
+
+  assert.match(script, /findLayerByPath\(doc, "Logo"\);[\s\S]*?__moveLayerTime\(doc, timedLayer, "moveAllTime", 2, frameRate\);\s+__moveLayerTime\(doc, timedLayer, "moveOutTime", -0.5, frameRate\);/);
+  // A shift of 0 leaves the layer where it is
+  assert.doesNotMatch(script, /findLayerByPath\(doc, "Title"\)/);
+  assert.match(script, /__setTimeline\("duration", 10, frameRate\);\s+__setTimeline\("workInTime", 1.5, frameRate\);\s+__setTimeline\("workOutTime", 8, frameRate\);/);
+  assert.ok(script.indexOf('"moveAllTime"') < script.indexOf('__setTimeline("duration"'));
+  // Only the work area is exported
+  assert.match(script, /using\.putBoolean\(stringIDToTypeID\("allFrames"\), false\);/);
+});
+
+test('leaves the template timeline alone without timeline settings', async () => {
+  const script = await renderScript({}, { Title: 'Sale' });
+  assert.doesNotMatch(script, /__setTimeline\("/);
+  assert.match(script, /using\.putBoolean\(stringIDToTypeID\("allFrames"\), true\);/);
+});
+
+test('rejects timeline settings that do not add up', async () => {
+  await assert.rejects(
+    renderScript({}, { duration: '6', work_in: '7', time_Logo: 'soon' }),
+    error => error.details.includes('Invalid timeline values:\n'
+      + '  Product prod001, time_Logo: shift "soon" must be a number of seconds\n'
+      + '  Product prod001: work_in 7s must be before the end of the work area (6s)'),
+  );
+});
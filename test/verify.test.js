@@ -0,0 +1,69 @@
+// Output verification: exported videos are probed and compared with their rendition and the spec file
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { renderBatch } = require('..');
+const { createWorkspace, removeWorkspace, dryRunOptions } = require('./helpers');
+
+// Prints the probe of ffprobe.json for the file name it is asked about
+const FFPROBE = `#!${process.execPath}
+const fs = require('fs');
+const path = require('path');
+const probes = JSON.parse(fs.readFileSync(path.join(__dirname, 'ffprobe.json'), 'utf-8'));
+const probe = probes[path.basename(process.argv[process.argv.length - 1])];
+if (!probe) { console.error('Invalid data found when processing input'); process.exit(1); }
+process.stdout.write(JSON.stringify(probe));
+`;
+
+function probe(width, height, duration, codec, audio) {
+  const streams = [{ codec_type: 'video', codec_name: codec, width, height, avg_frame_rate: '30/1' }];
+  if (audio) streams.push({ codec_type: 'audio', codec_name: 'aac' });
+  return { streams, format: { duration: String(duration), bit_rate: '8000000' } };
+}
+
+let dir;
+let ffprobe;
+before(async () => {
+  dir = await createWorkspace();
+  const out = path.join(dir, 'out');
+  const exported = productId => ({ status: 'ok', videos: [{ rendition: 'story', path: path.join(out, `template_${productId}_story.mp4`), exported: true }] });
+  await fs.writeJson(path.join(dir, 'fixture.json'), { results: { prod001: exported('prod001'), prod002: exported('prod002'), prod003: exported('prod003') } });
+  for (const productId of ['prod001', 'prod002', 'prod003']) await fs.outputFile(path.join(out, `template_${productId}_story.mp4`), 'video');
+  await fs.writeJson(path.join(dir, 'ffprobe.json'), {
+    'template_prod001_story.mp4': probe(1080, 1920, 15, 'h264', true),
+    'template_prod002_story.mp4': probe(1080, 1080, 75, 'hevc', false),
+  });
+  ffprobe = path.join(dir, 'ffprobe.js');
+  await fs.outputFile(ffprobe, FFPROBE, { mode: 0o755 });
+  await fs.outputFile(path.join(dir, 'spec.yaml'), 'specs:\n  - { name: Reels, aspect: "9:16", maxDuration: 60, audio: true }\n');
+});
+after(() => removeWorkspace(dir));
+
+test('fails rows whose videos break their rendition or the spec', async () => {
+  const report = await renderBatch({
+    ...dryRunOptions(dir, { force: true, spec: path.join(dir, 'spec.yaml'), ffprobe }),
+    renditions: [{ name: 'story', width: 1080, height: 1920 }],
+    rows: ['prod001', 'prod002', 'prod003'].map(id => ({ product_id: id })),
+  });
+
+  assert.deepStrictEqual(report.map(row => [row.productId, row.status]), [['prod001', 'ok'], ['prod002', 'failed'], ['prod003', 'failed']]);
+  assert.deepStrictEqual(report[0].videos[0].probe, { duration: 15, width: 1080, height: 1920, frameRate: 30, codec: 'h264', bitrate: 8000, audio: true });
+  assert.deepStrictEqual(report[1].violations, [
+    'template_prod002_story.mp4 rendition story: height is 1080, expected 1920 (1080x1080)',
+    'template_prod002_story.mp4 rendition story: codec is hevc, expected h264',
+    'template_prod002_story.mp4 Reels: aspect ratio of 1080x1080 is not 9:16',
+    'template_prod002_story.mp4 Reels: duration 75s is longer than 60s',
+    'template_prod002_story.mp4 Reels: has no audio track',
+  ]);
+  assert.deepStrictEqual(report[2].errors, ['Verification failed: template_prod003_story.mp4 could not be probed: Invalid data found when processing input']);
+});
+
+test('rejects a spec file without specs', async () => {
+  const specPath = path.join(dir, 'empty.yaml');
+  await fs.outputFile(specPath, '');
+  await assert.rejects(
+    renderBatch({ ...dryRunOptions(dir, { spec: specPath, ffprobe }), rows: [{ product_id: 'prod001' }] }),
+    { message: `❌ Spec file ${specPath} must contain a spec object or a list of them` },
+  );
+});